@@ -0,0 +1,289 @@
+/**
+ * ============================================================================
+ * ADDON RENDERER - Perspective-correct addons (glasses, hats, moustaches)
+ * ============================================================================
+ *
+ * Every addon declares anchor points: face landmarks together with the
+ * position in the addon image where that landmark should land, e.g.
+ *
+ *     anchors: [[33, 147, 297], [263, 780, 297], ...]   // [landmark, x, y]
+ *
+ * HOW IT WORKS:
+ * -------------
+ * 1. Fit a homography (projective transform) from the anchors' image
+ *    positions to the live landmarks (least squares, at least 4 anchors)
+ * 2. Cut the addon image into a grid of triangles
+ * 3. Draw each triangle with the affine transform through its mapped
+ *    corners (canvas 2D can only draw affine transforms, but a fine grid of
+ *    affine pieces follows the projective warp closely)
+ *
+ * A turned head foreshortens the far side of the addon just like the face,
+ * so glasses and hats stay on the head at any yaw or pitch.
+ *
+ * MIRRORING:
+ * ----------
+ * In the selfie view the landmarks are mirrored (landmark 33, the subject's
+ * right eye corner, appears on the right). The anchors are mirrored with
+ * them so the artwork itself is never drawn back to front.
+ */
+
+class AddonRenderer {
+    /**
+     * @param {Object} options
+     * @param {number} options.gridSize - Grid cells per side the image is cut into
+     */
+    constructor({ gridSize = 8 } = {}) {
+        this.gridSize = gridSize;
+    }
+
+    /**
+     * Draw an addon onto a face
+     * @param {CanvasRenderingContext2D} ctx - Canvas in frame pixel coordinates
+     * @param {Object} addon - Addon with imageElement and anchors ([landmark, x, y] triples)
+     * @param {number[][]} landmarks - Face landmarks as [x, y] pixel pairs
+     * @param {boolean} mirrored - Landmarks are mirrored (front camera)
+     * @returns {boolean} Whether the addon was drawn
+     */
+    draw(ctx, addon, landmarks, mirrored = false) {
+        const image = addon.imageElement;
+        if (!image || !addon.anchors) return false;
+
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+
+        const src = [];
+        const dst = [];
+        for (const [index, x, y] of addon.anchors) {
+            const p = landmarks[index];
+            if (!p) continue;
+            src.push([mirrored ? width - x : x, y]);
+            dst.push(p);
+        }
+
+        const H = this.solveHomography(src, dst);
+        if (!H) return false;
+
+        // Map the grid corners; give up if any falls behind the vanishing
+        // line (w <= 0), where the projective warp folds over
+        const n = this.gridSize;
+        const grid = [];
+        for (let j = 0; j <= n; j++) {
+            for (let i = 0; i <= n; i++) {
+                const sx = width * i / n;
+                const sy = height * j / n;
+                const mapped = this.mapPoint(H, sx, sy);
+                if (!mapped) return false;
+                grid.push({ src: [sx, sy], dst: mapped });
+            }
+        }
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const a = grid[j * (n + 1) + i];
+                const b = grid[j * (n + 1) + i + 1];
+                const c = grid[(j + 1) * (n + 1) + i];
+                const d = grid[(j + 1) * (n + 1) + i + 1];
+                this.drawTriangle(ctx, image, a, b, d);
+                this.drawTriangle(ctx, image, a, d, c);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Make the background of artwork without transparency (JPEG) see-through
+     * @param {HTMLImageElement} image - Addon artwork
+     * @param {Object} key - { color: '#rrggbb', tolerance }: pixels within
+     *                       `tolerance` (max channel difference, 0-255) of the
+     *                       color become transparent, fading out over as much again
+     * @returns {HTMLCanvasElement} Artwork with an alpha channel
+     */
+    removeBackground(image, { color, tolerance = 40 }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        const hex = parseInt(color.replace('#', ''), 16);
+        const kr = (hex >> 16) & 255, kg = (hex >> 8) & 255, kb = hex & 255;
+        const soft = Math.max(1, tolerance);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const diff = Math.max(Math.abs(data[i] - kr), Math.abs(data[i + 1] - kg), Math.abs(data[i + 2] - kb));
+            const t = Math.max(0, Math.min(1, (diff - tolerance) / soft));
+            data[i + 3] = Math.min(data[i + 3], t * 255);
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Least-squares homography mapping src points onto dst points
+     * @param {number[][]} src - Source points [x, y] (4 or more)
+     * @param {number[][]} dst - Destination points [x, y]
+     * @returns {number[]|null} Row-major 3x3 matrix, or null if degenerate
+     */
+    solveHomography(src, dst) {
+        if (src.length < 4) return null;
+
+        // Normalize both point sets (centroid at 0, mean distance √2) so
+        // the equations are well conditioned
+        const ts = this.normalization(src);
+        const td = this.normalization(dst);
+        if (!ts || !td) return null;
+
+        // With h33 = 1 every correspondence gives two linear equations in
+        // h11..h32; accumulate the 8x8 normal equations
+        const ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+        const atb = new Array(8).fill(0);
+        for (let k = 0; k < src.length; k++) {
+            const x = (src[k][0] - ts.cx) * ts.s, y = (src[k][1] - ts.cy) * ts.s;
+            const u = (dst[k][0] - td.cx) * td.s, v = (dst[k][1] - td.cy) * td.s;
+            const rows = [
+                [[x, y, 1, 0, 0, 0, -u * x, -u * y], u],
+                [[0, 0, 0, x, y, 1, -v * x, -v * y], v]
+            ];
+            for (const [row, rhs] of rows) {
+                for (let r = 0; r < 8; r++) {
+                    atb[r] += row[r] * rhs;
+                    for (let c = 0; c < 8; c++) ata[r][c] += row[r] * row[c];
+                }
+            }
+        }
+
+        const h = this.solveLinear(ata, atb);
+        if (!h) return null;
+
+        // Undo the normalization: H = Td^-1 · Hn · Ts
+        const hn = [...h, 1];
+        const H = new Array(9);
+        for (let r = 0; r < 3; r++) {
+            // Row r of Hn · Ts
+            const a = hn[r * 3] * ts.s;
+            const b = hn[r * 3 + 1] * ts.s;
+            const c = hn[r * 3 + 2] - (hn[r * 3] * ts.cx + hn[r * 3 + 1] * ts.cy) * ts.s;
+            H[r * 3] = a; H[r * 3 + 1] = b; H[r * 3 + 2] = c;
+        }
+        for (let c = 0; c < 3; c++) {
+            H[c] = H[c] / td.s + td.cx * H[6 + c];
+            H[3 + c] = H[3 + c] / td.s + td.cy * H[6 + c];
+        }
+        return H;
+    }
+
+    /**
+     * Centroid and scale that normalize a point set
+     */
+    normalization(points) {
+        let cx = 0, cy = 0;
+        for (const [x, y] of points) { cx += x; cy += y; }
+        cx /= points.length;
+        cy /= points.length;
+
+        let dist = 0;
+        for (const [x, y] of points) dist += Math.hypot(x - cx, y - cy);
+        dist /= points.length;
+        if (dist < 1e-9) return null;
+
+        return { cx, cy, s: Math.SQRT2 / dist };
+    }
+
+    /**
+     * Solve a small linear system by Gaussian elimination with partial pivoting
+     * @returns {number[]|null} Solution, or null if the matrix is singular
+     */
+    solveLinear(A, b) {
+        const n = b.length;
+        const m = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-12) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let r = col + 1; r < n; r++) {
+                const f = m[r][col] / m[col][col];
+                for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+            }
+        }
+
+        const x = new Array(n);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = m[r][n];
+            for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+            x[r] = sum / m[r][r];
+        }
+        return x;
+    }
+
+    /**
+     * Apply a homography to a point
+     * @returns {number[]|null} Mapped point, or null behind the vanishing line
+     */
+    mapPoint(H, x, y) {
+        const w = H[6] * x + H[7] * y + H[8];
+        if (w <= 1e-9) return null;
+        return [
+            (H[0] * x + H[1] * y + H[2]) / w,
+            (H[3] * x + H[4] * y + H[5]) / w
+        ];
+    }
+
+    /**
+     * Draw one image triangle through the affine transform given by its
+     * source and destination corners
+     */
+    drawTriangle(ctx, image, a, b, c) {
+        const [x0, y0] = a.src, [x1, y1] = b.src, [x2, y2] = c.src;
+        const [u0, v0] = a.dst, [u1, v1] = b.dst, [u2, v2] = c.dst;
+
+        const det = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+        if (Math.abs(det) < 1e-9) return;
+
+        // Affine transform [m11 m21 dx; m12 m22 dy] with src corners → dst corners
+        const m11 = ((u1 - u0) * (y2 - y0) - (u2 - u0) * (y1 - y0)) / det;
+        const m21 = ((u2 - u0) * (x1 - x0) - (u1 - u0) * (x2 - x0)) / det;
+        const m12 = ((v1 - v0) * (y2 - y0) - (v2 - v0) * (y1 - y0)) / det;
+        const m22 = ((v2 - v0) * (x1 - x0) - (v1 - v0) * (x2 - x0)) / det;
+        const dx = u0 - m11 * x0 - m21 * y0;
+        const dy = v0 - m12 * x0 - m22 * y0;
+
+        // Clip to the destination triangle, grown by half a pixel so
+        // neighbouring triangles overlap instead of leaving hairline seams
+        const cx = (u0 + u1 + u2) / 3, cy = (v0 + v1 + v2) / 3;
+        const grow = ([u, v]) => {
+            const len = Math.hypot(u - cx, v - cy) || 1;
+            return [u + (u - cx) / len * 0.5, v + (v - cy) / len * 0.5];
+        };
+
+        ctx.save();
+        ctx.beginPath();
+        for (const [k, corner] of [a.dst, b.dst, c.dst].map(grow).entries()) {
+            if (k === 0) ctx.moveTo(corner[0], corner[1]);
+            else ctx.lineTo(corner[0], corner[1]);
+        }
+        ctx.closePath();
+        ctx.clip();
+
+        ctx.transform(m11, m12, m21, m22, dx, dy);
+
+        // Only the source cell (plus a pixel of margin) needs drawing
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const sx = Math.max(0, Math.floor(Math.min(x0, x1, x2)) - 1);
+        const sy = Math.max(0, Math.floor(Math.min(y0, y1, y2)) - 1);
+        const sw = Math.min(width, Math.ceil(Math.max(x0, x1, x2)) + 1) - sx;
+        const sh = Math.min(height, Math.ceil(Math.max(y0, y1, y2)) + 1) - sy;
+        ctx.drawImage(image, sx, sy, sw, sh, sx, sy, sw, sh);
+        ctx.restore();
+    }
+}
+
+// Export for use in app.js
+self.AddonRenderer = AddonRenderer;
@@ -9,11 +9,11 @@
  * MODELS USED:
  * ------------
  * 1. MediaPipe Face Mesh - Detects 468 facial landmarks in real-time
- *    - Loaded from: https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh
+ *    - Loaded from: vendor/mediapipe/face_mesh (CDN fallback, see model-config.js)
  *    - Used for: Face detection, landmark extraction, morph positioning
  * 
  * 2. Face-API.js - Gender and age detection
- *    - Loaded from: https://cdn.jsdelivr.net/npm/@vladmandic/face-api
+ *    - Loaded from: vendor/face-api, weights from models/face-api (CDN fallback)
  *    - Models: tinyFaceDetector, ageGenderNet
  *    - Used for: Scanning user's gender/age to filter appropriate morphs
  * 
@@ -26,6 +26,9 @@
  * 5. Each triangle is affine-warped from target to camera position
  * 6. A feathered mask blends the warped face onto the camera feed
  * 
+ * Steps 4-6 run in a Web Worker (morph-worker.js) when the browser supports
+ * OffscreenCanvas, so the UI thread never blocks on morphing.
+ * 
  * CONVERTED FROM:
  * ---------------
  * Originally a Python desktop app using OpenCV and MediaPipe.
@@ -58,12 +61,20 @@ class FaceMorphApp {
 
         // UI Elements
         this.filterCarousel = document.getElementById('filterCarousel');   // Horizontal scrolling filter thumbnails
+        this.categoryNav = document.getElementById('categoryNav');         // Bottom navigation, one button per catalog category
         this.loadingOverlay = document.getElementById('loadingOverlay');   // "Loading..." overlay shown during init
         this.noFaceWarning = document.getElementById('noFaceWarning');     // Warning shown when no face detected
+        this.turnHint = document.getElementById('turnHint');               // Hint shown while a turned head fades the morph out
+        this.faceFocusRing = document.getElementById('faceFocusRing');     // Outline around the tapped face
         this.statusOverlay = document.getElementById('statusOverlay');     // Toast-style status messages
         this.statusText = document.getElementById('statusText');           // Text content of status messages
+        this.updatePrompt = document.getElementById('updatePrompt');       // "New version available" prompt (service worker)
         this.morphSlider = document.getElementById('morphSlider');         // Slider to control morph intensity (0-100%)
         this.morphValue = document.getElementById('morphValue');           // Display showing current morph percentage
+        this.shapeSlider = document.getElementById('shapeSlider');         // Slider to control face shape morph (0-100%)
+        this.shapeValue = document.getElementById('shapeValue');           // Display showing current shape percentage
+        this.colorStrengthSlider = document.getElementById('colorStrengthSlider'); // Slider for skin tone matching (0-100%)
+        this.colorStrengthValue = document.getElementById('colorStrengthValue');   // Display showing skin tone matching percentage
 
         // Gender/Age scan display elements
         this.scanResultDisplay = document.getElementById('scanResultDisplay');
@@ -73,6 +84,9 @@ class FaceMorphApp {
 
         // Modal and panel elements
         this.effectsPanel = document.getElementById('effectsPanel');     // Side panel for color effects
+        this.mixPanel = document.getElementById('mixPanel');             // Side panel with the weights of mixed faces
+        this.mixList = document.getElementById('mixList');               // One row (name, weight slider) per mixed face
+        this.mixHint = document.getElementById('mixHint');               // "Pick 2-4 faces" hint
         this.profileModal = document.getElementById('profileModal');     // User profile modal
         this.galleryModal = document.getElementById('galleryModal');     // Gallery modal
         this.galleryGrid = document.getElementById('galleryGrid');       // Grid container for gallery items
@@ -94,11 +108,49 @@ class FaceMorphApp {
         this.state = {
             currentCategory: 'celebs',    // Currently selected category tab
             selectedImageIndex: -1,       // Index of selected morph target (-1 = none)
-            morphAmount: 0,               // Morph intensity 0.0 to 1.0
+            morphAmount: 0,               // Morph intensity 0.0 to 1.0 (target skin / texture)
+            shapeAmount: 0,               // Face shape 0.0 (camera proportions) to 1.0 (target proportions)
             isRecording: false,           // True when recording video
             faceDetected: false,          // True when a face is visible in camera
+            maxFaces: 3,                  // Faces tracked (and morphed) at once
+            focusedFaceId: null,          // Face tapped on the output canvas; carousel picks apply to it only
+            faceSwap: false,              // Live face swap between the two oldest faces in frame
+            mixMode: false,               // Carousel taps add faces to a weighted mix instead of replacing the target
             selectedAddon: null,          // Currently selected addon (glasses, hat, etc.)
-            currentEffect: 'none',        // Color effect: 'none', 'bw', or 'purple'
+            selectedCaricature: null,     // Currently selected Fun item (caricature or symmetry), used instead of a target
+            currentEffect: 'none',        // Color effect: 'none' or an id from color-effects.js
+            effectScope: 'frame',         // Where the color effect applies: 'frame', 'face' or 'background'
+            effectParams: {},             // Color effect settings: id → { intensity, ...params }
+            reshape: {},                  // Active reshape presets (see reshape-presets.js): id → intensity 0-1
+            meshTopology: 'auto',         // Target mesh: 'auto', 'canonical' (fixed FaceMesh tessellation) or 'delaunay'
+            boundary: {                   // Outer mesh ring so hair and neck are warped too (see MorphEngine.addBoundaryPoints)
+                enabled: true,
+                top: 0.5,                 // Above the forehead (hair), as a fraction of face height
+                sides: 0.15,              // Beside the cheeks (ears, side hair)
+                bottom: 0.35              // Below the chin (neck)
+            },
+            previewSampling: 'bilinear',  // Warp sampling for live video: 'nearest', 'bilinear' or 'bicubic'
+            snapshotSampling: 'bicubic',  // Warp sampling used when rendering a snapshot
+            stabilizer: {                 // One-Euro landmark smoothing (see landmark-stabilizer.js)
+                enabled: true,
+                minCutoff: 1.0,           // Hz - lower = steadier when still, more lag
+                beta: 0.01,               // Higher = less lag when moving fast
+                dCutoff: 1.0              // Hz - smoothing of the speed estimate
+            },
+            morphFade: {                  // Fade the morph out at extreme head angles (see morph-fade.js)
+                enabled: true,
+                yawStart: 35, yawEnd: 50,         // Degrees of head turn: fade starts / morph gone
+                pitchStart: 25, pitchEnd: 40,     // Degrees of looking up or down
+                flipStart: 0.12, flipEnd: 0.25,   // Fraction of flipped mesh triangles
+                hysteresis: 0.3,          // Ramp shift while fading (fraction of ramp width)
+                fadeSeconds: 0.3          // Time for a full fade out or in
+            },
+            previewBlendMode: null,       // Face blending for live video: 'feather', 'seamless' (Poisson) or 'frequency';
+                                          // null = the target's blendMode, 'feather' for targets without one
+            snapshotBlendMode: 'seamless', // Face blending used when rendering a snapshot
+            previewColorTransfer: 'mean', // Skin tone matching for live video: 'mean' (fast) or 'lab' (regional Reinhard)
+            snapshotColorTransfer: 'lab', // Skin tone matching used when rendering a snapshot
+            colorTransferStrength: 0.5,   // How strongly target skin is matched to the camera face (0-1)
             profile: { name: '', email: '' }  // User profile data
         };
 
@@ -115,6 +167,8 @@ class FaceMorphApp {
         this.filterHoldTimer = null;   // Timer for detecting long press
         this.isFilterHolding = false;  // True while user is holding down on filter
         this.filterDownTime = 0;       // Timestamp when user started pressing
+        this.snapshotPending = false;  // True while waiting for a high-quality frame to capture
+        this.selectionId = 0;          // Bumped on every carousel pick; a target load from an older pick is dropped
 
         // ====================================================================
         // CAMERA STATE
@@ -124,20 +178,73 @@ class FaceMorphApp {
         // ====================================================================
         // MORPH ASSETS
         // ====================================================================
-        this.categories = ['animals', 'celebs', 'history', 'races', 'addons'];  // Available categories
+        this.categories = [];      // Categories in catalog order, { id, name, icon } (catalog.json)
+        this.catalogError = null;  // Why catalog.json could not be loaded (shown in the carousel)
         this.assets = {};          // All loaded assets organized by category
         this.currentAssets = [];   // Assets currently displayed in carousel
 
         // ====================================================================
-        // TARGET FACE DATA (the face to morph INTO)
+        // TARGET FACE DATA (the faces to morph INTO)
+        // ====================================================================
+        // Each loaded target is a record (see loadMorphTarget):
+        // { id, asset, imageData, landmarks, isAnimal, prepared, workerSize }
+        this.target = null;          // Default target, used by every face without its own assignment
+        this.nextTargetId = 1;       // Id handed to the next loaded target (also used by the worker)
+
+        // ====================================================================
+        // MULTI-TARGET MIX STATE
+        // ====================================================================
+        // Faces picked in mix mode: { asset, weight, target } (weight 0-100,
+        // normalized when mixing). The mixed face is applied like any other target.
+        this.mix = {
+            parts: [],
+            maxParts: 4,
+            building: false,     // True while a mix is being computed
+            rebuildPending: false, // Parts changed while building; build again afterwards
+            target: null,        // Target record of the applied mix (taken off when the last part goes)
+            requestId: 0,        // Sequence number of mixes sent to the worker
+            request: null        // Mix the worker is computing: { mixId, resolve, fallback }
+        };
+
+        // ====================================================================
+        // CAMERA FACE DATA (the users' faces)
         // ====================================================================
-        this.targetImage = null;     // Image element of selected morph target
-        this.targetLandmarks = null; // 468 landmark points for target face (from JSON)
+        this.cameraLandmarks = null;  // 468 landmark points of the primary face (stabilized)
+        this.rawCameraLandmarks = null; // Same landmarks before temporal smoothing
+
+        // Stable face identities across frames, each with its own landmark smoothing
+        this.faceTracker = new FaceTracker({ stabilizer: this.state.stabilizer });
+        this.trackedFaces = [];       // Faces visible this frame, oldest first (see FaceTracker.update)
+        this.frameFaces = [];         // Faces of the frame on the canvas (addons and effects go on these)
+
+        // 3D head pose per tracked face (track.pose)
+        this.headPose = new HeadPoseEstimator();
+
+        // Draws addons with a perspective warp onto their anchor landmarks
+        this.addonRenderer = new AddonRenderer();
+
+        // Categories and targets (catalog.json, see target-catalog.js)
+        this.catalog = new TargetCatalog();
+
+        // Runs the color effect (color-effects.js) on the finished frame
+        this.effectRenderer = new EffectRenderer();
+
+        // Per-face overrides chosen by tapping a face: faceId → { target }, { addon } or { caricature }
+        this.faceAssignments = new Map();
+
+        // Faces morphed in the current frame (see getMorphFaces / getSwapFaces)
+        this.morphingFaces = [];
 
         // ====================================================================
-        // CAMERA FACE DATA (the user's face)
+        // FACE SWAP STATE
         // ====================================================================
-        this.cameraLandmarks = null;  // 468 landmark points detected in camera feed
+        this.faceSwap = {
+            pair: null,      // [faceIdA, faceIdB] currently swapped
+            fade: 0,         // 0 = own faces, 1 = fully swapped (ramps, never jumps)
+            lastTime: 0      // Timestamp of the last fade update (ms)
+        };
+        this.faceSwapFadeSeconds = 0.3;  // Duration of a full fade in or out
+        this.liveTargets = new Map();    // faceId → prepared live face (main-thread path only)
 
         // ====================================================================
         // MORPH ENGINE
@@ -145,6 +252,21 @@ class FaceMorphApp {
         // The MorphEngine handles all the math: triangulation, warping, blending
         this.morphEngine = new MorphEngine();
 
+        // Library scripts, wasm and model files: local copies first (model-config.js)
+        this.modelLoader = new ModelLoader();
+
+        // ====================================================================
+        // MORPH WORKER
+        // ====================================================================
+        // Runs the MorphEngine off the main thread (see morph-worker.js).
+        // Falls back to morphing on the main thread if workers are unavailable.
+        this.morphWorker = null;        // Worker instance (null = morph on main thread)
+        this.morphSceneId = 0;          // Bumped on every target/assignment change; stale results are dropped
+        this.morphFrameId = 0;          // Sequence number of frames sent to the worker
+        this.morphInFlight = null;      // Frame the worker is processing (null = idle)
+        this.pendingMorphFrame = null;  // Newest frame waiting for the worker (replaced, never queued)
+        this.lastMorphFrame = null;     // Latest result from the worker: { bitmap, tracks }
+
         // ====================================================================
         // MEDIAPIPE FACE MESH
         // ====================================================================
@@ -163,26 +285,27 @@ class FaceMorphApp {
         this.recordedChunks = [];    // Array of video data chunks
 
         // ====================================================================
-        // TARGET IMAGE CANVAS
+        // OFFLINE (Service Worker)
         // ====================================================================
-        // Offscreen canvas used to draw and process the target morph image
-        this.targetCanvas = document.createElement('canvas');
-        this.targetCtx = this.targetCanvas.getContext('2d');
+        this.updateAccepted = false; // User chose to reload into a new version
 
         // Start initialization
         this.init();
     }
 
     async init() {
+        this.registerServiceWorker();
         try {
             this.loadProfile();
             this.loadGallery();
             await this.loadAssets();
+            this.initMorphWorker();
             await this.initFaceMesh();
             await this.initFaceApi();
             await this.initCamera();
             this.setupEventListeners();
             this.loadCategory(this.state.currentCategory);
+            this.checkCatalogFiles();
             console.log('[FaceMorphApp] Initialized');
         } catch (error) {
             console.error('[FaceMorphApp] Init error:', error);
@@ -397,18 +520,10 @@ class FaceMorphApp {
 
     async initFaceApi() {
         try {
-            if (typeof faceapi === 'undefined') {
-                await new Promise((resolve) => {
-                    const check = setInterval(() => {
-                        if (typeof faceapi !== 'undefined') {
-                            clearInterval(check);
-                            resolve();
-                        }
-                    }, 100);
-                });
-            }
+            await this.modelLoader.loadScript('faceApi');
 
-            const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model';
+            // Weights from the same root as the other models (local, else CDN)
+            const MODEL_URL = await this.modelLoader.resolveRoot('faceApiModels');
             await Promise.all([
                 faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
                 faceapi.nets.ageGenderNet.loadFromUri(MODEL_URL)
@@ -421,62 +536,125 @@ class FaceMorphApp {
 
     // ============ ASSETS ============
 
+    /**
+     * Load the targets of every category from catalog.json (see
+     * target-catalog.js for the format). Entries with problems are left out
+     * and reported in the console and the status bar; missing files are
+     * looked for once the app runs (checkCatalogFiles). Without a catalog
+     * the app still starts, with no targets and the error in the carousel.
+     */
     async loadAssets() {
-        this.assets = {
-            animals: [
-                { name: 'Batrik', image: 'assets/animals/Batrik_sym.png', landmarks: 'assets/landmarks/animals/Batrik_sym.json' },
-                { name: 'Chimp', image: 'assets/animals/Chimp_sym.png', landmarks: 'assets/landmarks/animals/Chimp_sym.json' },
-                { name: 'Chimp 2', image: 'assets/animals/Chimp2.png', landmarks: 'assets/landmarks/animals/Chimp2.json' },
-                { name: 'Panda', image: 'assets/animals/Panda.png', landmarks: 'assets/landmarks/animals/Panda.json' },
-                { name: 'Sloth', image: 'assets/animals/Sloth.jpg', landmarks: 'assets/landmarks/animals/Sloth.json' }
-            ],
-            celebs: [
-                { name: 'Tom Cruise', image: 'assets/male/male_celebs/tom_cruise.jpg', landmarks: 'assets/landmarks/male/male_celebs/tom_cruise.json', gender: 'male' },
-                { name: 'Messi', image: 'assets/male/male_celebs/Messi(GOAT).png', landmarks: 'assets/landmarks/male/male_celebs/Messi(GOAT).json', gender: 'male' },
-                { name: 'Salah', image: 'assets/male/male_celebs/Salah.jpeg', landmarks: 'assets/landmarks/male/male_celebs/Salah.json', gender: 'male' },
-                { name: 'Steve', image: 'assets/male/male_celebs/Steve.jpeg', landmarks: 'assets/landmarks/male/male_celebs/Steve.json', gender: 'male' },
-                { name: 'Dr. Tamer', image: 'assets/male/male_celebs/Dr. Tamer.jpeg', landmarks: 'assets/landmarks/male/male_celebs/Dr. Tamer.json', gender: 'male' },
-                { name: 'Dustin', image: 'assets/male/male_celebs/Dustin.jpg', landmarks: 'assets/landmarks/male/male_celebs/Dustin.json', gender: 'male' },
-                { name: 'Ashraf', image: 'assets/male/male_celebs/ashraf abdelbaky.jpeg', landmarks: 'assets/landmarks/male/male_celebs/ashraf abdelbaky.json', gender: 'male' },
-                { name: 'Ronaldo', image: 'assets/male/male_celebs/Ronaldo.png', landmarks: 'assets/landmarks/male/male_celebs/Ronaldo.json', gender: 'male' },
-                { name: 'Asmaa', image: 'assets/female/female_celebs/asmaa.jpeg', landmarks: 'assets/landmarks/female/female_celebs/asmaa.json', gender: 'female' },
-                { name: 'Aya', image: 'assets/female/female_celebs/aya.jpeg', landmarks: 'assets/landmarks/female/female_celebs/aya.json', gender: 'female' },
-                { name: 'Gihan', image: 'assets/female/female_celebs/gihan.jpeg', landmarks: 'assets/landmarks/female/female_celebs/gihan.json', gender: 'female' },
-                { name: 'Jenna', image: 'assets/female/female_celebs/jenna.jpeg', landmarks: 'assets/landmarks/female/female_celebs/jenna.json', gender: 'female' },
-                { name: 'Yasmina', image: 'assets/female/female_celebs/yasmina.jpeg', landmarks: 'assets/landmarks/female/female_celebs/yasmina.json', gender: 'female' }
-            ],
-            history: [
-                { name: 'Einstein', image: 'assets/male/male_history/Einstein.jpeg', landmarks: 'assets/landmarks/male/male_history/Einstein.json', gender: 'male' },
-                { name: 'Newton', image: 'assets/male/male_history/Newton.jpeg', landmarks: 'assets/landmarks/male/male_history/Newton.json', gender: 'male' },
-                { name: 'Napoleon', image: 'assets/male/male_history/Napoleon.jpeg', landmarks: 'assets/landmarks/male/male_history/Napoleon.json', gender: 'male' },
-                { name: 'Muhammad Ali', image: 'assets/male/male_history/Muhamed Aly.jpeg', landmarks: 'assets/landmarks/male/male_history/Muhamed Aly.json', gender: 'male' },
-                { name: 'Hitler', image: 'assets/male/male_history/Hitler.jpg', landmarks: 'assets/landmarks/male/male_history/Hitler.json', gender: 'male' },
-                { name: 'Diana', image: 'assets/female/female_history/dianna.jpeg', landmarks: 'assets/landmarks/female/female_history/dianna.json', gender: 'female' },
-                { name: 'Om Kalsom', image: 'assets/female/female_history/om kalsom.jpeg', landmarks: 'assets/landmarks/female/female_history/om kalsom.json', gender: 'female' },
-                { name: 'Queen', image: 'assets/female/female_history/queen.jpeg', landmarks: 'assets/landmarks/female/female_history/queen.json', gender: 'female' },
-                { name: 'Cleopatra', image: 'assets/female/female_history/WhatsApp Image 2025-12-15 at 2.54.22 PM.jpeg', landmarks: 'assets/landmarks/female/female_history/WhatsApp Image 2025-12-15 at 2.54.22 PM.json', gender: 'female' }
-            ],
-            races: [
-                { name: 'French', image: 'assets/male/male_races/Alexis Petit, french model, France ;.jpg', landmarks: 'assets/landmarks/male/male_races/Alexis Petit, french model, France ;.json', gender: 'male' },
-                { name: 'Asian Male', image: 'assets/male/male_races/download (9).jpg', landmarks: 'assets/landmarks/male/male_races/download (9).json', gender: 'male' },
-                { name: 'African Male', image: 'assets/male/male_races/WhatsApp Image 2025-12-14 at 6.53.55 PM.jpeg', landmarks: 'assets/landmarks/male/male_races/WhatsApp Image 2025-12-14 at 6.53.55 PM.json', gender: 'male' },
-                { name: 'Indian Male', image: 'assets/male/male_races/WhatsApp Image 2025-12-14 at 6.53.55 PM (1).jpeg', landmarks: 'assets/landmarks/male/male_races/WhatsApp Image 2025-12-14 at 6.53.55 PM (1).json', gender: 'male' },
-                { name: 'Asian Girl', image: 'assets/female/female_races/asian girl.jpg', landmarks: 'assets/landmarks/female/female_races/asian girl.json', gender: 'female' },
-                { name: 'Black Girl', image: 'assets/female/female_races/black girl.jpeg', landmarks: 'assets/landmarks/female/female_races/black girl.json', gender: 'female' },
-                { name: 'Indian Girl', image: 'assets/female/female_races/indian girl.jpeg', landmarks: 'assets/landmarks/female/female_races/indian girl.json', gender: 'female' },
-                { name: 'White Girl', image: 'assets/female/female_races/white girl.jpeg', landmarks: 'assets/landmarks/female/female_races/white girl.json', gender: 'female' }
-            ],
-            addons: [
-                { name: 'Glasses', image: 'assets/male/male_addons/glasses.png', isAddon: true, type: 'glasses', gender: 'male' },
-                { name: 'Moustache', image: 'assets/male/male_addons/pngimg.com - moustache_PNG43 (1).png', isAddon: true, type: 'moustache', gender: 'male' },
-                { name: 'Santa Hat', image: 'assets/male/male_addons/santa_hat.png', isAddon: true, type: 'hat', gender: 'male' },
-                { name: 'Glass', image: 'assets/female/female_addons/glass.png', isAddon: true, type: 'glasses', gender: 'female' },
-                { name: 'Santa Hat', image: 'assets/female/female_addons/santa_hat.png', isAddon: true, type: 'hat', gender: 'female' }
-            ]
-        };
+        let catalog;
+        try {
+            catalog = await this.catalog.load();
+        } catch (error) {
+            console.error('[Catalog]', error.message);
+            this.catalogError = error.message;
+            this.showStatus('No targets: ' + error.message, true);
+            catalog = { categories: [], assets: {}, pending: [], problems: [] };
+        }
+        const { categories, assets, pending, problems } = catalog;
+        this.assets = assets;
+        this.categories = categories;
+        if (categories.length > 0 && !categories.some(category => category.id === this.state.currentCategory)) {
+            this.state.currentCategory = categories[0].id;
+        }
+        this.renderCategoryNav();
+
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error('[Catalog]', problem));
+            this.showStatus(`catalog.json: ${problems.length} invalid entries (see console)`, true);
+        }
+        if (pending.length > 0) {
+            console.info('[Catalog] Waiting for landmarks (landmark-editor.html):', pending.map(entry => entry.id).join(', '));
+        }
 
-        for (const addon of this.assets.addons) {
-            addon.imageElement = await this.loadImage(addon.image).catch(() => null);
+        for (const addon of this.assets.addons || []) {
+            const image = await this.loadImage(addon.image).catch(() => null);
+            addon.imageElement = image && addon.key ? this.addonRenderer.removeBackground(image, addon.key) : image;
+        }
+
+        this.loadCustomTargets();
+    }
+
+    /**
+     * One bottom navigation button per catalog category
+     */
+    renderCategoryNav() {
+        this.categoryNav.innerHTML = '';
+        for (const { id, name, icon } of this.categories) {
+            const btn = document.createElement('button');
+            btn.className = 'nav-btn';
+            btn.dataset.category = id;
+            btn.title = name;
+
+            const iconSpan = document.createElement('span');
+            iconSpan.className = 'nav-icon';
+            iconSpan.textContent = icon;
+            const label = document.createElement('span');
+            label.className = 'nav-label';
+            label.textContent = name;
+            btn.append(iconSpan, label);
+
+            btn.addEventListener('click', () => this.loadCategory(id));
+            this.categoryNav.appendChild(btn);
+        }
+    }
+
+    /**
+     * Take catalog entries whose image or landmarks file is missing out of
+     * the carousel, and say so
+     */
+    async checkCatalogFiles() {
+        const entries = this.categories.flatMap(category => this.assets[category.id] || []);
+        const missing = await this.catalog.findMissingFiles(entries);
+        if (missing.length === 0) return;
+
+        const broken = new Set();
+        for (const { entry, url } of missing) {
+            console.error(`[Catalog] ${entry.id}: missing file ${url}`);
+            broken.add(entry);
+        }
+        for (const { id } of this.categories) {
+            this.assets[id] = this.assets[id].filter(asset => !broken.has(asset));
+        }
+        if (this.currentAssets.some(asset => broken.has(asset))) this.loadCategory(this.state.currentCategory);
+
+        const names = [...broken].map(entry => entry.name).join(', ');
+        this.showStatus(`Missing files for ${names} (see console)`, true);
+    }
+
+    /**
+     * Add targets generated in the browser (average faces) to their categories.
+     * Stored as { category, asset } with the image and landmarks JSON as data URLs.
+     */
+    loadCustomTargets() {
+        try {
+            const saved = localStorage.getItem('facemorphCustomTargets');
+            if (!saved) return;
+            for (const { category, asset } of JSON.parse(saved)) {
+                if (this.assets[category]) this.assets[category].push({ ...asset, category });
+            }
+        } catch (e) {
+            // Unreadable (e.g. cut off when storage ran full): start over
+            console.error('[FaceMorphApp] Dropping saved custom targets:', e);
+            localStorage.removeItem('facemorphCustomTargets');
+        }
+    }
+
+    saveCustomTargets() {
+        const custom = [];
+        for (const { id } of this.categories) {
+            for (const asset of this.assets[id] || []) {
+                if (asset.isCustom) custom.push({ category: id, asset });
+            }
+        }
+        try {
+            localStorage.setItem('facemorphCustomTargets', JSON.stringify(custom));
+            return true;
+        } catch (e) {
+            // Storage full: the target stays available until the page is closed
+            return false;
         }
     }
 
@@ -493,13 +671,35 @@ class FaceMorphApp {
     // ============ FACE MESH ============
 
     async initFaceMesh() {
+        const loadedFrom = await this.modelLoader.loadScript('faceMesh');
+
+        // Wasm and model files come from where the script came from; if they
+        // are missing there, the next source is tried (CDN fallback)
+        let lastError = null;
+        for (const root of this.modelLoader.sources('faceMesh', loadedFrom)) {
+            try {
+                await this.createFaceMesh(root);
+                return;
+            } catch (error) {
+                console.warn('[FaceMesh] Failed to initialize from', root, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Create and initialize FaceMesh with its files under `root`
+     * @param {string} root - Base URL of the MediaPipe face_mesh files
+     */
+    createFaceMesh(root) {
         return new Promise((resolve, reject) => {
             this.faceMesh = new FaceMesh({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
+                locateFile: (file) => `${root}${file}`
             });
 
             this.faceMesh.setOptions({
-                maxNumFaces: 1,
+                maxNumFaces: this.state.maxFaces,
                 refineLandmarks: true,
                 minDetectionConfidence: 0.5,
                 minTrackingConfidence: 0.5
@@ -574,7 +774,7 @@ class FaceMorphApp {
      * 
      * FLOW:
      * 1. Draw the video frame to canvas (mirrored for selfie mode)
-     * 2. If face detected: extract landmarks, apply morph or addon
+     * 2. Track every detected face: extract landmarks, apply morph or addon per face
      * 3. If no face: show warning
      * 4. Apply any color effects
      * 
@@ -604,75 +804,120 @@ class FaceMorphApp {
         // ====================================================================
         // STEP 2: PROCESS FACE LANDMARKS
         // ====================================================================
-        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-            // Face detected! Extract the 468 landmark points
-            const landmarks = results.multiFaceLandmarks[0];
-
-            // Convert normalized coordinates (0-1) to pixel coordinates
-            // Also mirror X coordinates for front camera
-            if (isFrontCamera) {
-                this.cameraLandmarks = landmarks.map(pt => [(1 - pt.x) * videoWidth, pt.y * videoHeight]);
-            } else {
-                this.cameraLandmarks = landmarks.map(pt => [pt.x * videoWidth, pt.y * videoHeight]);
-            }
+        // Convert normalized coordinates (0-1) to pixel coordinates
+        // Also mirror X coordinates for front camera
+        const detections = (results.multiFaceLandmarks || []).map(landmarks => isFrontCamera
+            ? landmarks.map(pt => [(1 - pt.x) * videoWidth, pt.y * videoHeight])
+            : landmarks.map(pt => [pt.x * videoWidth, pt.y * videoHeight]));
+
+        // Match faces to the ones seen in earlier frames and smooth out
+        // frame-to-frame jitter per face (morph and addons both use these).
+        // A face that drops out for a frame or two is held, not lost.
+        this.trackedFaces = this.faceTracker.update(detections, performance.now());
+        this.frameFaces = this.trackedFaces;
+        this.pruneFaceAssignments();
+
+        // Head pose per face: yaw, pitch, roll and position of the head
+        this.trackedFaces.forEach(track => {
+            track.pose = this.headPose.estimate(track.landmarks, videoWidth);
+        });
+
+        if (this.trackedFaces.length > 0) {
+            // Primary face (tracked the longest) for single-face features
+            const primary = this.trackedFaces[0];
+            this.rawCameraLandmarks = primary.rawLandmarks;
+            this.cameraLandmarks = primary.landmarks;
 
             this.state.faceDetected = true;
             this.noFaceWarning.classList.remove('visible');
 
             // ================================================================
-            // STEP 3: APPLY MORPH OR ADDON
+            // STEP 3: APPLY MORPH AND ADDONS
             // ================================================================
-            if (this.state.selectedAddon) {
-                // Addon mode: draw glasses, hat, moustache, etc.
-                this.applyAddon();
-            } else if (this.state.morphAmount > 0.01 && this.targetImage && this.targetLandmarks) {
-                // Morph mode: transform face to look like target
-                this.applyMorph();
+            // Morph mode: transform every face with a target in one pass
+            // (a pending snapshot renders this frame at snapshot quality)
+            this.morphingFaces = [
+                ...(this.state.faceSwap ? this.getSwapFaces() : this.getMorphFaces()),
+                ...this.getReshapeFaces()
+            ];
+            this.applyMorphFade(this.morphingFaces);
+            if (this.morphingFaces.length > 0) {
+                this.applyMorph(this.morphingFaces, this.snapshotPending);
+            } else {
+                this.clearMorphFrame();
             }
+
+            // Addon mode: draw glasses, hat, moustache, etc. on top
+            this.applyAddons();
         } else {
             // No face detected
             this.state.faceDetected = false;
+            this.morphingFaces = [];
             this.cameraLandmarks = null;
+            this.rawCameraLandmarks = null;
+            this.clearMorphFrame();
             this.noFaceWarning.classList.add('visible');
+            this.turnHint.classList.remove('visible');
         }
+        this.updateFaceFocusRing();
 
         // ====================================================================
         // STEP 4: APPLY COLOR EFFECTS
         // ====================================================================
-        // Apply B&W or Purple filter if selected
+        // Apply the selected color effect (whole frame, face or background)
         this.applyColorEffect();
+
+        // ====================================================================
+        // STEP 5: CAPTURE PENDING SNAPSHOT
+        // ====================================================================
+        if (this.snapshotPending) {
+            this.snapshotPending = false;
+            this.captureSnapshot();
+        }
     }
 
     // ============ EFFECTS ============
 
     /**
-     * Apply color effect (B&W or Purple) to the output canvas.
+     * Apply the selected color effect (see color-effects.js) to the output canvas.
      * Modifies pixels directly using ImageData.
      */
     applyColorEffect() {
-        if (this.state.currentEffect === 'none') return;
+        const effect = this.effectRenderer.get(this.state.currentEffect);
+        if (!effect) return;
 
+        // Anonymizing effects (pixelate / blur face) always stay on the face
         const { videoWidth, videoHeight } = this.video;
+        const scope = effect.scope || this.state.effectScope;
+        const mask = scope === 'frame' ? null : this.getEffectMask(videoWidth, videoHeight);
         const imageData = this.outputCtx.getImageData(0, 0, videoWidth, videoHeight);
-        const data = imageData.data;  // Uint8ClampedArray: [R,G,B,A, R,G,B,A, ...]
-
-        if (this.state.currentEffect === 'bw') {
-            // Convert to grayscale using luminance formula
-            // Human eyes are most sensitive to green, then red, then blue
-            for (let i = 0; i < data.length; i += 4) {
-                const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-                data[i] = data[i + 1] = data[i + 2] = gray;
+
+        const changed = this.effectRenderer.apply(imageData, effect.id, {
+            params: this.state.effectParams[effect.id],
+            scope,
+            mask
+        });
+        if (changed) this.outputCtx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Face mask of every tracked face (the morph engine's feathered hull mask)
+     * @returns {ImageData|null} Mask (R channel, 255 = face), or null if no face
+     */
+    getEffectMask(width, height) {
+        let combined = null;
+        for (const track of this.frameFaces) {
+            const mask = this.morphEngine.createFaceMask(track.landmarks, width, height);
+            if (!mask) continue;
+            if (!combined) {
+                combined = mask;
+                continue;
             }
-        } else if (this.state.currentEffect === 'purple') {
-            // Purple tint: boost red and blue, reduce green
-            for (let i = 0; i < data.length; i += 4) {
-                data[i] = Math.min(255, data[i] * 1.1 + 30);      // Red: boost
-                data[i + 1] = Math.max(0, data[i + 1] * 0.7);     // Green: reduce
-                data[i + 2] = Math.min(255, data[i + 2] * 1.2 + 40); // Blue: boost
+            for (let i = 0; i < combined.data.length; i += 4) {
+                combined.data[i] = Math.max(combined.data[i], mask.data[i]);
             }
         }
-
-        this.outputCtx.putImageData(imageData, 0, 0);
+        return combined;
     }
 
     // ============ MORPH ============
@@ -691,250 +936,1361 @@ class FaceMorphApp {
      * - alpha = 0: 100% camera face
      * - alpha = 0.5: 50% blend
      * - alpha = 1: 100% target face (fully morphed)
+     * 
+     * The shape amount separately moves the face geometry towards the
+     * target's proportions (0 = camera shape, 1 = target shape).
+     * 
+     * Every face in `faces` is morphed into its own target and composited
+     * into the same frame.
+     * 
+     * @param {Object[]} faces - Faces to morph, from getMorphFaces() or getSwapFaces()
+     * @param {boolean} highQuality - Render synchronously with snapshot sampling
+     *                                (used for snapshots) instead of the live preview path
      */
-    applyMorph() {
-        if (!this.cameraLandmarks || !this.targetLandmarks) return;
+    applyMorph(faces, highQuality = false) {
+        if (faces.length === 0) return;
 
         const { videoWidth, videoHeight } = this.video;
         const alpha = this.state.morphAmount;  // 0.0 to 1.0
 
+        const options = {
+            sampling: highQuality ? this.state.snapshotSampling : this.state.previewSampling,
+            blendMode: highQuality ? this.state.snapshotBlendMode : (this.state.previewBlendMode || 'feather'),
+            colorTransfer: highQuality ? this.state.snapshotColorTransfer : this.state.previewColorTransfer,
+            colorStrength: this.state.colorTransferStrength,
+            shapeAmount: this.state.shapeAmount,
+            textureAmount: alpha
+        };
+
+        if (this.morphWorker && !highQuality) {
+            this.applyMorphInWorker(faces, alpha, options);
+            return;
+        }
+
         try {
             // Get pixel data from canvas (current camera frame)
             const srcData = this.outputCtx.getImageData(0, 0, videoWidth, videoHeight);
 
-            // Get pixel data from target image
-            const targetData = this.targetCtx.getImageData(0, 0, this.targetCanvas.width, this.targetCanvas.height);
+            // Target-side work is cached; only rebuild if the frame size changed
+            // (e.g. after flipping to a camera with a different resolution).
+            // Animals use different blending.
+            const warpsItself = face => face.caricature !== undefined || face.symmetry !== undefined ||
+                face.reshape !== undefined;
+            const engineFaces = faces.map(face => ({
+                faceId: face.faceId,
+                prepared: warpsItself(face) ? null : this.resolveMorphSource(face, srcData, videoWidth, videoHeight),
+                caricature: face.caricature,
+                symmetry: face.symmetry,
+                reshape: face.reshape,
+                landmarks: face.landmarks,
+                alpha,
+                isAnimal: !!face.target && face.target.isAnimal,
+                options: face.options
+            })).filter(face => face.prepared || warpsItself(face));
+            if (engineFaces.length === 0) return;
 
             // Create output buffer for the morphed result
             const outputData = this.outputCtx.createImageData(videoWidth, videoHeight);
 
-            // Check if morphing to an animal (uses different blending)
-            const isAnimal = this.state.currentCategory === 'animals';
-
             // Call the morph engine to do the heavy lifting
-            // This performs triangulation, warping, and blending
-            this.morphEngine.morphFace(srcData, targetData, this.cameraLandmarks, this.targetLandmarks, alpha, outputData, isAnimal);
+            // This performs warping and blending against each prepared target
+            const flipped = this.morphEngine.morphFaces(srcData, engineFaces, outputData, options);
+            this.onFlippedTriangles(engineFaces.map((face, n) => ({ faceId: face.faceId, flippedFraction: flipped[n] })));
 
             // Write the morphed result to the canvas
             this.outputCtx.putImageData(outputData, 0, 0);
         } catch (e) { /* Silently handle errors */ }
     }
 
-    // ============ ADDON ============
+    /**
+     * Faces to morph this frame, each paired with its target: the face's own
+     * assignment if it has one, otherwise the default target (unless an
+     * addon is selected as the default). Faces with a Fun item get
+     * { caricature } or { symmetry } instead of a target.
+     * @returns {Object[]} { faceId, landmarks, target, options } per face
+     */
+    getMorphFaces() {
+        if (this.state.morphAmount <= 0.01 && this.state.shapeAmount <= 0.01) return [];
+
+        const faces = [];
+        for (const track of this.trackedFaces) {
+            const assignment = this.faceAssignments.get(track.id);
+
+            // Fun category: the face is warped onto itself, no target
+            const fun = assignment ? assignment.caricature : this.state.selectedCaricature;
+            if (fun) {
+                const pose = track.pose ? { yaw: track.pose.yaw, pitch: track.pose.pitch } : null;
+                faces.push(fun.symmetry
+                    ? { faceId: track.id, landmarks: track.landmarks, symmetry: fun.symmetry, options: {} }
+                    : { faceId: track.id, landmarks: track.landmarks, caricature: fun.caricature, options: { pose } });
+                continue;
+            }
 
-    calculateHeadRotation(landmarks) {
-        const leftEye = landmarks[33], rightEye = landmarks[263], noseTip = landmarks[1];
-        const leftCheek = landmarks[234], rightCheek = landmarks[454];
-        const chin = landmarks[152], forehead = landmarks[10];
-
-        if (!leftEye || !rightEye || !noseTip || !chin || !forehead) return { yaw: 0, roll: 0, pitch: 0 };
-
-        const roll = Math.atan2(rightEye[1] - leftEye[1], rightEye[0] - leftEye[0]);
-        const noseToLeft = Math.hypot(noseTip[0] - leftCheek[0], noseTip[1] - leftCheek[1]);
-        const noseToRight = Math.hypot(noseTip[0] - rightCheek[0], noseTip[1] - rightCheek[1]);
-        const yaw = ((noseToLeft - noseToRight) / (noseToLeft + noseToRight)) * Math.PI * 0.5;
-
-        return { yaw, roll, pitch: 0 };
-    }
-
-    applyAddon() {
-        if (!this.cameraLandmarks || !this.state.selectedAddon) return;
-        const addon = this.state.selectedAddon;
-        if (!addon.imageElement) return;
-
-        const landmarks = this.cameraLandmarks;
-        let position, size;
-        const rotation = this.calculateHeadRotation(landmarks);
-
-        switch (addon.type) {
-            case 'glasses':
-            case 'sunglasses':
-                const leftEye = landmarks[33], rightEye = landmarks[263];
-                if (!leftEye || !rightEye) return;
-                const eyeDist = Math.hypot(rightEye[0] - leftEye[0], rightEye[1] - leftEye[1]);
-                size = { width: eyeDist * 2.2, height: (eyeDist * 2.2) * (addon.imageElement.height / addon.imageElement.width) };
-                position = { x: (leftEye[0] + rightEye[0]) / 2, y: (leftEye[1] + rightEye[1]) / 2 };
-                break;
-            case 'moustache':
-                const ml = landmarks[61], mr = landmarks[291];
-                if (!ml || !mr) return;
-                const mw = Math.hypot(mr[0] - ml[0], mr[1] - ml[1]);
-                size = { width: mw * 1.8, height: (mw * 1.8) * (addon.imageElement.height / addon.imageElement.width) };
-                position = { x: (ml[0] + mr[0]) / 2, y: (ml[1] + mr[1]) / 2 - size.height * 0.3 };
-                break;
-            case 'hat':
-                const top = landmarks[10], left = landmarks[234], right = landmarks[454];
-                if (!top || !left || !right) return;
-                const fw = Math.hypot(right[0] - left[0], right[1] - left[1]);
-                size = { width: fw * 1.8, height: (fw * 1.8) * (addon.imageElement.height / addon.imageElement.width) };
-                position = { x: (left[0] + right[0]) / 2, y: top[1] - size.height * 0.2 };
-                break;
-            default: return;
-        }
+            const target = assignment
+                ? assignment.target
+                : (this.state.selectedAddon ? null : this.target);
+            if (!target) continue;
 
-        this.outputCtx.save();
-        this.outputCtx.translate(position.x, position.y);
-        this.outputCtx.rotate(rotation.roll);
-        this.outputCtx.scale(1 - Math.abs(rotation.yaw) * 0.3, 1);
-        if (['hat', 'moustache', 'glasses', 'sunglasses'].includes(addon.type)) this.outputCtx.scale(1, -1);
-        this.outputCtx.drawImage(addon.imageElement, -size.width / 2, -size.height / 2, size.width, size.height);
-        this.outputCtx.restore();
+            // A target's own blend mode only replaces the preview default:
+            // snapshots and a preview mode the user picked keep theirs
+            const hint = target.asset.blendMode;
+            const options = hint && !this.snapshotPending && !this.state.previewBlendMode ? { blendMode: hint } : {};
+            faces.push({ faceId: track.id, landmarks: track.landmarks, target, options });
+        }
+        return faces;
     }
 
-    // ============ CATEGORY & FILTERS ============
+    /**
+     * Reshape filters for every face (effects panel), applied after the morph
+     * @returns {Object[]} { faceId, landmarks, reshape, options } per face
+     */
+    getReshapeFaces() {
+        const steps = (self.RESHAPE_PRESETS || [])
+            .filter(preset => this.state.reshape[preset.id] > 0)
+            .map(preset => ({ preset, intensity: this.state.reshape[preset.id] }));
+        if (steps.length === 0) return [];
+
+        // textureAmount 1: the pose fade scales the intensities, the morph slider does not
+        return this.trackedFaces.map(track => ({
+            faceId: track.id,
+            landmarks: track.landmarks,
+            reshape: steps,
+            options: { textureAmount: 1 }
+        }));
+    }
 
-    loadCategory(category) {
-        this.state.currentCategory = category;
-        const allAssets = this.assets[category] || [];
+    /**
+     * Prepared target for one face: a loaded target image, or for face swap
+     * a face taken from the current frame (cached, so it can still be drawn
+     * for a moment after that face has left)
+     */
+    resolveMorphSource(face, srcData, width, height) {
+        if (face.target) return this.getPreparedTarget(face.target, width, height);
 
-        const gender = this.state.detectedGender;
-        if (gender && category !== 'animals') {
-            const filtered = allAssets.filter(a => a.gender === gender);
-            this.currentAssets = filtered.length > 0 ? filtered : allAssets;
-        } else {
-            this.currentAssets = allAssets;
+        if (face.sourceLandmarks) {
+            this.liveTargets.set(face.sourceId, this.morphEngine.prepareLiveTarget(srcData, face.sourceLandmarks, face.sourceId));
         }
+        return this.liveTargets.get(face.sourceId);
+    }
 
-        if (category !== 'addons') this.state.selectedAddon = null;
-
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.category === category);
-        });
+    // ============ POSE-AWARE FADE ============
 
-        // Reset selection when switching categories
-        this.state.selectedImageIndex = -1;
-        this.state.morphAmount = 0;
-        this.morphSlider.value = 0;
-        this.morphValue.textContent = '0%';
+    /**
+     * Fade the morph out on faces turned too far from the camera.
+     * 
+     * Each face's MorphFade (see morph-fade.js) turns its head pose and the
+     * flipped triangle fraction from the last morph into an amount 0-1 that
+     * scales the face's texture and shape amounts. The result is stored on
+     * the face (effectiveAmount) and its track (morphAmount); while any face
+     * is mostly faded out, a "turn towards the camera" hint is shown.
+     * 
+     * @param {Object[]} faces - Faces from getMorphFaces() or getSwapFaces() (options updated in place)
+     */
+    applyMorphFade(faces) {
+        const now = performance.now();
+        let turnedAway = false;
+
+        // A face can have several entries (target + reshape): the fade is
+        // stepped once per face per frame, or it would run faster for them
+        const fades = new Map();
+
+        for (const face of faces) {
+            const track = this.trackedFaces.find(t => t.id === face.faceId);
+            if (!track) continue;
+
+            if (!track.morphFade) track.morphFade = new MorphFade(this.state.morphFade);
+            if (!fades.has(track.id)) fades.set(track.id, track.morphFade.update(track.pose, track.flippedFraction || 0, now));
+            const fade = fades.get(track.id);
+
+            const own = face.options || {};
+            const texture = own.textureAmount !== undefined ? own.textureAmount : this.state.morphAmount;
+            const shape = own.shapeAmount !== undefined ? own.shapeAmount : this.state.shapeAmount;
+            face.options = { ...own, textureAmount: texture * fade, shapeAmount: shape * fade };
+
+            face.effectiveAmount = texture * fade;
+            if (face.reshape === undefined) track.morphAmount = face.effectiveAmount;
+            if (fade < 0.5) turnedAway = true;
+        }
 
-        this.renderFilterCarousel();
+        this.turnHint.classList.toggle('visible', turnedAway);
     }
 
-    renderFilterCarousel() {
-        this.filterCarousel.innerHTML = '';
+    /**
+     * Store the flipped triangle fractions reported by the morph engine
+     * (used by the next frame's fade)
+     * @param {Object[]} stats - { faceId, flippedFraction } per morphed face
+     */
+    onFlippedTriangles(stats) {
+        if (!stats) return;
+        for (const { faceId, flippedFraction } of stats) {
+            const track = this.trackedFaces.find(t => t.id === faceId);
+            if (track && flippedFraction !== null) track.flippedFraction = flippedFraction;
+        }
+    }
 
-        this.currentAssets.forEach((asset, index) => {
-            const item = document.createElement('div');
-            item.className = 'filter-item' + (asset.isAddon ? ' addon-item' : '');
-            item.dataset.index = index;
+    /**
+     * Update fade parameters (merged into state.morphFade)
+     * @param {Object} params - Any of the MorphFade options (see morph-fade.js)
+     */
+    setMorphFadeParams(params) {
+        Object.assign(this.state.morphFade, params);
+        this.trackedFaces.forEach(track => {
+            if (track.morphFade) track.morphFade.configure(this.state.morphFade);
+        });
+    }
 
-            const img = document.createElement('img');
-            img.src = asset.image;
-            img.alt = asset.name;
-            img.loading = 'lazy';
-            img.onerror = () => { img.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect fill="%23333" width="100" height="100"/></svg>'; };
-            item.appendChild(img);
+    // ============ FACE SWAP ============
 
-            // Filter interactions
-            item.addEventListener('mousedown', () => this.onFilterDown(index));
-            item.addEventListener('mouseup', () => this.onFilterUp(index));
-            item.addEventListener('mouseleave', () => this.cancelFilterHold());
-            item.addEventListener('touchstart', (e) => { e.preventDefault(); this.onFilterDown(index); });
-            item.addEventListener('touchend', () => this.onFilterUp(index));
+    /**
+     * Faces to morph this frame in face swap mode.
+     * 
+     * The two oldest faces in frame trade faces: A's face is warped onto
+     * B's landmarks and B's onto A's, both taken from the live frame.
+     * 
+     * NO FLICKER WHEN A FACE LEAVES:
+     * - The swap fades in and out over faceSwapFadeSeconds instead of
+     *   switching on and off
+     * - While a face is missing its last visible copy is used, so the face
+     *   that stays keeps the partner's face and fades back to its own
+     * - A new pair is only formed once the old swap has faded out
+     * 
+     * @returns {Object[]} { faceId, landmarks, sourceId, sourceLandmarks, options } per face;
+     *                     sourceLandmarks is null when the cached copy must be used
+     */
+    getSwapFaces() {
+        const swap = this.faceSwap;
+        const now = performance.now();
+        const dt = swap.lastTime ? Math.min((now - swap.lastTime) / 1000, 0.1) : 0;
+        swap.lastTime = now;
+
+        const findTrack = id => this.trackedFaces.find(track => track.id === id) || null;
+        let pair = swap.pair ? swap.pair.map(findTrack) : [null, null];
+
+        // Pair up the two oldest visible faces once the previous swap is gone
+        if (swap.fade <= 0 && !(pair[0] && pair[1])) {
+            const visible = this.trackedFaces.filter(track => track.missed === 0);
+            if (visible.length >= 2) {
+                pair = [visible[0], visible[1]];
+                swap.pair = [pair[0].id, pair[1].id];
+                this.clearLiveTargets();
+            }
+        }
 
-            this.filterCarousel.appendChild(item);
+        // Fully swapped only while both faces are really visible; a face that
+        // is only being held (missed detections) starts the fade-out early
+        const bothVisible = pair[0] && pair[1] && pair[0].missed === 0 && pair[1].missed === 0;
+        const step = dt / this.faceSwapFadeSeconds;
+        swap.fade = bothVisible ? Math.min(1, swap.fade + step) : Math.max(0, swap.fade - step);
+
+        if (swap.fade <= 0.01) return [];
+
+        const faces = [];
+        [[0, 1], [1, 0]].forEach(([dst, src]) => {
+            const destination = pair[dst];
+            if (!destination) return;
+
+            const source = pair[src];
+            faces.push({
+                faceId: destination.id,
+                landmarks: destination.landmarks,
+                sourceId: swap.pair[src],
+                sourceLandmarks: source && source.missed === 0 ? source.landmarks : null,
+                options: { textureAmount: swap.fade, shapeAmount: 0 }
+            });
         });
+        return faces;
     }
 
-    onFilterDown(index) {
-        this.isFilterHolding = true;
-        this.filterDownTime = Date.now();
+    /**
+     * Turn face swap mode on or off
+     */
+    toggleFaceSwap() {
+        this.state.faceSwap = !this.state.faceSwap;
+        this.faceSwap.pair = null;
+        this.faceSwap.fade = 0;
+        this.faceSwap.lastTime = 0;
+        this.clearLiveTargets();
+        this.bumpMorphScene();
+
+        document.getElementById('faceSwapBtn').classList.toggle('active', this.state.faceSwap);
+        this.showStatus(this.state.faceSwap ? 'Face swap on' : 'Face swap off', false);
+    }
 
-        // Start hold timer for video (800ms) - only if already selected
-        if (this.state.selectedImageIndex === index) {
-            this.filterHoldTimer = setTimeout(() => {
-                if (this.isFilterHolding) {
-                    this.startRecording(index);
+    /**
+     * Forget cached live faces (main thread and worker)
+     */
+    clearLiveTargets() {
+        this.liveTargets.clear();
+        this.morphEngine.clearLive();
+        if (this.morphWorker) this.morphWorker.postMessage({ type: 'clearLive' });
+    }
+
+    // ============ MORPH WORKER ============
+
+    /**
+     * Start the morph worker if the browser supports everything it needs.
+     * Without it, applyMorph() keeps morphing on the main thread.
+     */
+    initMorphWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            typeof createImageBitmap === 'undefined') return;
+
+        try {
+            this.morphWorker = new Worker('morph-worker.js');
+            this.morphWorker.onmessage = (e) => this.onMorphWorkerMessage(e.data);
+            this.morphWorker.onerror = (e) => {
+                console.error('[MorphWorker] Error, falling back to main thread:', e.message);
+                this.morphWorker.terminate();
+                this.morphWorker = null;
+                this.forEachMorphTarget(target => { target.workerSize = null; });
+                this.morphInFlight = null;
+                this.pendingMorphFrame = null;
+                this.clearMorphFrame();
+                if (this.mix.request) {
+                    const { resolve, fallback } = this.mix.request;
+                    this.mix.request = null;
+                    resolve(fallback());
                 }
-            }, 800);
+            };
+        } catch (e) {
+            console.error('[MorphWorker] Could not start worker:', e);
+            this.morphWorker = null;
         }
     }
 
-    onFilterUp(index) {
-        const wasHolding = this.isFilterHolding;
-        const holdDuration = Date.now() - this.filterDownTime;
-        this.isFilterHolding = false;
+    /**
+     * Send the current camera frame to the worker and show the latest
+     * composited frame it returned in place of this one. Output lags the
+     * camera by the time one morph takes, but the main thread never waits
+     * on it. The shown frame brings the faces it was captured with, so
+     * addons and effects are drawn where the faces are in that frame.
+     */
+    applyMorphInWorker(faces, alpha, options) {
+        const { videoWidth, videoHeight } = this.video;
+        faces.forEach(({ target }) => {
+            if (target) this.syncWorkerTarget(target, videoWidth, videoHeight);
+        });
 
-        if (this.filterHoldTimer) {
-            clearTimeout(this.filterHoldTimer);
-            this.filterHoldTimer = null;
-        }
+        const frame = {
+            sceneId: this.morphSceneId,
+            faces: faces.map(face => face.target ? {
+                faceId: face.faceId,
+                targetId: face.target.id,
+                landmarks: MorphEngine.packLandmarks(face.landmarks),
+                alpha,
+                isAnimal: face.target.isAnimal,
+                options: face.options
+            } : face.caricature !== undefined || face.symmetry !== undefined || face.reshape !== undefined ? {
+                faceId: face.faceId,
+                caricature: face.caricature,
+                symmetry: face.symmetry,
+                reshape: face.reshape,
+                landmarks: MorphEngine.packLandmarks(face.landmarks),
+                alpha,
+                isAnimal: false,
+                options: face.options
+            } : {
+                faceId: face.faceId,
+                sourceId: face.sourceId,
+                sourceLandmarks: face.sourceLandmarks && MorphEngine.packLandmarks(face.sourceLandmarks),
+                landmarks: MorphEngine.packLandmarks(face.landmarks),
+                alpha,
+                isAnimal: false,
+                options: face.options
+            }),
+            options,
+            bitmap: null,
+            tracks: this.trackedFaces.map(({ id, landmarks, pose }) => ({ id, landmarks, pose }))
+        };
 
-        if (this.state.isRecording) {
-            // Stop recording
-            this.stopRecording();
-        } else if (wasHolding && holdDuration < 800) {
-            // Quick tap (less than 800ms)
-            if (this.state.selectedImageIndex === index) {
-                // Already selected - take photo
-                this.takeSnapshot();
-            } else {
-                // Not selected - select it (NO photo)
-                this.selectAsset(index);
-            }
+        // The bitmap snapshots the canvas now, before the last result replaces it
+        createImageBitmap(this.outputCanvas).then((bitmap) => {
+            frame.bitmap = bitmap;
+            this.postMorphFrame(frame);
+        }).catch((e) => console.error('[MorphWorker] Frame capture failed:', e));
+
+        if (this.lastMorphFrame) {
+            this.outputCtx.drawImage(this.lastMorphFrame.bitmap, 0, 0, videoWidth, videoHeight);
+            this.frameFaces = this.lastMorphFrame.tracks;
         }
-        // If holdDuration >= 800 and not recording, it means recording failed or was on unselected filter
     }
 
-    cancelFilterHold() {
-        if (this.filterHoldTimer) {
-            clearTimeout(this.filterHoldTimer);
-            this.filterHoldTimer = null;
+    /**
+     * Post a frame to the worker, or park it if one is already in flight.
+     * A parked frame is replaced by newer ones, so frames never queue up.
+     */
+    postMorphFrame(frame) {
+        if (!this.morphWorker) {
+            frame.bitmap.close();
+            return;
+        }
+
+        if (this.morphInFlight) {
+            if (this.pendingMorphFrame) this.pendingMorphFrame.bitmap.close();
+            this.pendingMorphFrame = frame;
+            return;
         }
+
+        this.morphInFlight = frame;
+        this.morphWorker.postMessage({
+            type: 'frame',
+            frameId: ++this.morphFrameId,
+            sceneId: frame.sceneId,
+            bitmap: frame.bitmap,
+            faces: frame.faces,
+            options: frame.options
+        }, [frame.bitmap, ...frame.faces.flatMap(face => face.sourceLandmarks
+            ? [face.landmarks.buffer, face.sourceLandmarks.buffer]
+            : [face.landmarks.buffer])]);
     }
 
-    async selectAsset(index) {
-        this.state.selectedImageIndex = index;
-        const asset = this.currentAssets[index];
-        if (!asset) return;
+    /**
+     * Handle a composited frame coming back from the worker
+     */
+    onMorphWorkerMessage(msg) {
+        if (msg.type === 'mixed') {
+            if (this.mix.request && this.mix.request.mixId === msg.mixId) {
+                this.mix.request.resolve(msg.mixed);
+                this.mix.request = null;
+            }
+            return;
+        }
+        if (msg.type !== 'result') return;
+        const frame = this.morphInFlight;
+        this.morphInFlight = null;
 
-        // Update visual selection
-        document.querySelectorAll('.filter-item').forEach((item, i) => {
-            item.classList.toggle('active', i === index);
-        });
+        const current = msg.sceneId === this.morphSceneId;
+        if (current) this.onFlippedTriangles(msg.faces);
 
-        if (asset.isAddon) {
-            this.state.selectedAddon = asset;
-            this.targetImage = null;
-            this.targetLandmarks = null;
-            this.state.morphAmount = 0;
-            this.morphSlider.value = 0;
-            this.morphValue.textContent = '0%';
-            this.showStatus(`${asset.name} selected`, false);
+        if (msg.bitmap && current && this.state.faceDetected) {
+            this.clearMorphFrame();
+            this.lastMorphFrame = { bitmap: msg.bitmap, tracks: frame.tracks };
         } else {
-            this.state.selectedAddon = null;
+            // Result for targets that are no longer assigned, or nothing
+            // morphed: show the camera rather than an older result
+            if (msg.bitmap) msg.bitmap.close();
+            if (current) this.clearMorphFrame();
+        }
 
-            try {
-                this.targetImage = await this.loadImage(asset.image);
-                this.targetCanvas.width = this.targetImage.width;
-                this.targetCanvas.height = this.targetImage.height;
-                this.targetCtx.drawImage(this.targetImage, 0, 0);
-
-                const response = await fetch(asset.landmarks);
-                if (response.ok) {
-                    this.targetLandmarks = await response.json();
-                    this.state.morphAmount = 1.0;
-                    this.morphSlider.value = 100;
-                    this.morphValue.textContent = '100%';
-                    this.showStatus(`${asset.name} selected`, false);
-                } else {
-                    this.targetLandmarks = null;
-                    this.showStatus(`No landmarks for ${asset.name}`, true);
-                }
-            } catch (e) {
-                this.showStatus(`Failed to load ${asset.name}`, true);
-            }
+        if (this.pendingMorphFrame) {
+            const next = this.pendingMorphFrame;
+            this.pendingMorphFrame = null;
+            this.postMorphFrame(next);
         }
     }
 
-    // ============ CAPTURE ============
-
-    takeSnapshot() {
-        try {
-            const dataUrl = this.outputCanvas.toDataURL('image/png');
-            this.addToGallery(dataUrl, 'photo');
+    /**
+     * Make sure the worker has this target prepared for this frame size
+     */
+    syncWorkerTarget(target, width, height) {
+        const sent = target.workerSize;
+        if (sent && sent.width === width && sent.height === height) return;
+
+        // Copy the pixels: the buffer is transferred, the record keeps its own
+        const pixels = target.imageData.data.slice().buffer;
+        const landmarks = MorphEngine.packLandmarks(target.landmarks);
+
+        this.morphWorker.postMessage({
+            type: 'target',
+            targetId: target.id,
+            pixels,
+            targetWidth: target.imageData.width,
+            targetHeight: target.imageData.height,
+            landmarks,
+            width,
+            height,
+            mesh: this.getMeshOptions()
+        }, [pixels, landmarks.buffer]);
+
+        target.workerSize = { width, height };
+    }
 
-            // Flash effect
+    /**
+     * Load a morph target (image + landmarks JSON) into a target record
+     * @param {Object} asset - Carousel asset with `image` and `landmarks` URLs
+     * @param {boolean} isAnimal - Animal target (animals use different blending)
+     * @param {number} maxSize - Downscale so the longest side is at most this (pixels)
+     * @returns {Promise<Object|null>} Target record, or null if the asset has no landmarks
+     */
+    async loadMorphTarget(asset, isAnimal, maxSize = Infinity) {
+        const image = await this.loadImage(asset.image);
+        const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const response = await fetch(asset.landmarks);
+        if (!response.ok) {
+            console.error(`[FaceMorphApp] ${asset.name}: landmarks ${asset.landmarks} (HTTP ${response.status})`);
+            return null;
+        }
+
+        let landmarks = await response.json();
+        if (scale < 1) landmarks = landmarks.map(p => p ? [p[0] * scale, p[1] * scale] : p);
+
+        return {
+            id: this.nextTargetId++,
+            asset,
+            imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
+            landmarks,
+            isAnimal,
+            prepared: null,     // Main-thread cache (see getPreparedTarget)
+            workerSize: null    // { width, height } the worker has it prepared for
+        };
+    }
+
+    /**
+     * Forget a target everywhere it is cached (main thread and worker)
+     */
+    releaseMorphTarget(target) {
+        if (!target) return;
+        target.prepared = null;
+        if (this.morphWorker && target.workerSize) {
+            this.morphWorker.postMessage({ type: 'clearTarget', targetId: target.id });
+        }
+        target.workerSize = null;
+    }
+
+    /**
+     * Call fn for the default target and every per-face target
+     */
+    forEachMorphTarget(fn) {
+        if (this.target) fn(this.target);
+        this.faceAssignments.forEach(assignment => {
+            if (assignment.target) fn(assignment.target);
+        });
+    }
+
+    /**
+     * Targets or assignments changed: results rendered for the old scene
+     * must not be drawn any more
+     */
+    bumpMorphScene() {
+        this.morphSceneId++;
+        this.clearMorphFrame();
+    }
+
+    /**
+     * Drop the last worker result so it is not drawn over later frames
+     */
+    clearMorphFrame() {
+        if (this.lastMorphFrame) {
+            this.lastMorphFrame.bitmap.close();
+            this.lastMorphFrame = null;
+        }
+    }
+
+    /**
+     * Get a target prepared for the given frame size.
+     * Built once per target (triangulation, scaled pixels) and
+     * only rebuilt if the camera resolution changes.
+     */
+    getPreparedTarget(target, width, height) {
+        const cached = target.prepared;
+        if (cached && cached.width === width && cached.height === height) return cached;
+
+        target.prepared = this.morphEngine.prepareTarget(target.imageData, target.landmarks, width, height,
+            this.getMeshOptions());
+        return target.prepared;
+    }
+
+    /**
+     * Update landmark smoothing parameters (merged into state.stabilizer)
+     * @param {Object} params - Any of { enabled, minCutoff, beta, dCutoff }
+     */
+    setStabilizerParams(params) {
+        Object.assign(this.state.stabilizer, params);
+        this.faceTracker.configureStabilizer(this.state.stabilizer);
+    }
+
+    /**
+     * Mesh settings for MorphEngine.prepareTarget()
+     */
+    getMeshOptions() {
+        const { enabled, ...extents } = this.state.boundary;
+        return {
+            topology: this.state.meshTopology,
+            boundary: enabled ? extents : null
+        };
+    }
+
+    /**
+     * Switch the target mesh topology; every loaded target is re-prepared
+     * @param {string} topology - 'auto', 'canonical' or 'delaunay'
+     */
+    setMeshTopology(topology) {
+        this.state.meshTopology = topology;
+        this.invalidatePreparedTargets();
+    }
+
+    /**
+     * Update the outer ring (merged into state.boundary); every loaded
+     * target is re-prepared
+     * @param {Object} params - Any of { enabled, top, sides, bottom }
+     */
+    setBoundaryParams(params) {
+        Object.assign(this.state.boundary, params);
+        this.invalidatePreparedTargets();
+    }
+
+    /**
+     * Mesh settings changed: drop every prepared target so it is rebuilt
+     */
+    invalidatePreparedTargets() {
+        this.forEachMorphTarget(target => this.releaseMorphTarget(target));
+        this.bumpMorphScene();
+    }
+
+    // ============ FACE SELECTION ============
+
+    /**
+     * Tap on the output canvas: focus the face under the finger so the next
+     * carousel pick applies to that face only. Tapping it again (or tapping
+     * away from any face) goes back to picking for all faces.
+     */
+    onCanvasTap(clientX, clientY) {
+        const point = this.clientToFrame(clientX, clientY);
+        const track = point ? this.faceTracker.findTrackAt(point[0], point[1]) : null;
+
+        if (!track || track.id === this.state.focusedFaceId) {
+            if (this.state.focusedFaceId !== null) this.showStatus('Filters apply to all faces', false);
+            this.state.focusedFaceId = null;
+        } else {
+            this.state.focusedFaceId = track.id;
+            this.showStatus(`Face ${this.faceNumber(track.id)} selected`, false);
+        }
+        this.updateFaceFocusRing();
+    }
+
+    /**
+     * Map a client (screen) position to frame pixel coordinates.
+     * The output canvas is displayed with object-fit: cover, so it is scaled
+     * to fill the view and centered, with the overflow cropped.
+     * @returns {number[]|null} [x, y] in frame pixels
+     */
+    clientToFrame(clientX, clientY) {
+        const { width, height } = this.outputCanvas;
+        if (!width || !height) return null;
+
+        const rect = this.outputCanvas.getBoundingClientRect();
+        const scale = Math.max(rect.width / width, rect.height / height);
+        const offsetX = (rect.width - width * scale) / 2;
+        const offsetY = (rect.height - height * scale) / 2;
+
+        return [
+            (clientX - rect.left - offsetX) / scale,
+            (clientY - rect.top - offsetY) / scale
+        ];
+    }
+
+    /**
+     * 1-based position of a face in tracking order (for status messages)
+     */
+    faceNumber(faceId) {
+        return this.trackedFaces.findIndex(track => track.id === faceId) + 1;
+    }
+
+    /**
+     * Give one face its own target ({ target }), addon ({ addon }) or Fun item ({ caricature })
+     */
+    assignToFace(faceId, assignment) {
+        const previous = this.faceAssignments.get(faceId);
+        if (previous) this.releaseMorphTarget(previous.target);
+        this.faceAssignments.set(faceId, assignment);
+        this.bumpMorphScene();
+    }
+
+    /**
+     * Forget assignments (and the focus) of faces that left the frame
+     */
+    pruneFaceAssignments() {
+        const visible = new Set(this.trackedFaces.map(track => track.id));
+
+        this.faceAssignments.forEach((assignment, faceId) => {
+            if (visible.has(faceId)) return;
+            this.releaseMorphTarget(assignment.target);
+            this.faceAssignments.delete(faceId);
+            this.bumpMorphScene();
+        });
+
+        if (this.state.focusedFaceId !== null && !visible.has(this.state.focusedFaceId)) {
+            this.state.focusedFaceId = null;
+        }
+    }
+
+    /**
+     * Outline the focused face. Drawn as an element over the canvas (not
+     * into it) so it never shows up in photos or recordings.
+     */
+    updateFaceFocusRing() {
+        const track = this.trackedFaces.find(t => t.id === this.state.focusedFaceId);
+        if (!track) {
+            this.faceFocusRing.classList.add('hidden');
+            return;
+        }
+
+        const { width, height } = this.outputCanvas;
+        const rect = this.outputCanvas.getBoundingClientRect();
+        const viewRect = this.faceFocusRing.offsetParent
+            ? this.faceFocusRing.offsetParent.getBoundingClientRect()
+            : rect;
+        const scale = Math.max(rect.width / width, rect.height / height);
+        const offsetX = rect.left - viewRect.left + (rect.width - width * scale) / 2;
+        const offsetY = rect.top - viewRect.top + (rect.height - height * scale) / 2;
+
+        // Face size is a bounding box diagonal; ~0.8 of it spans the face
+        const diameter = track.size * 0.8 * scale;
+        const style = this.faceFocusRing.style;
+        style.width = style.height = `${diameter}px`;
+        style.left = `${offsetX + track.center[0] * scale - diameter / 2}px`;
+        style.top = `${offsetY + track.center[1] * scale - diameter / 2}px`;
+        this.faceFocusRing.classList.remove('hidden');
+    }
+
+    // ============ ADDON ============
+
+    /**
+     * Draw addons for every face: the face's own addon if it has one,
+     * otherwise the default addon (faces with their own target get none)
+     */
+    applyAddons() {
+        for (const track of this.frameFaces) {
+            const assignment = this.faceAssignments.get(track.id);
+            const addon = assignment ? assignment.addon : this.state.selectedAddon;
+            if (addon) this.applyAddon(addon, track.landmarks, track.pose);
+        }
+    }
+
+    /**
+     * Draw one addon on one face, warped with true perspective from the
+     * addon's anchor points to the live landmarks (see AddonRenderer)
+     *
+     * @param {Object} addon - Addon asset with a loaded imageElement and anchors
+     * @param {number[][]} landmarks - Face landmarks in frame pixels
+     * @param {Object} pose - Head pose of the face (HeadPoseEstimator.estimate)
+     */
+    applyAddon(addon, landmarks, pose) {
+        if (!landmarks || !addon || !addon.imageElement) return;
+        this.addonRenderer.draw(this.outputCtx, addon, landmarks, pose ? pose.mirrored : false);
+    }
+
+    // ============ CATEGORY & FILTERS ============
+
+    loadCategory(category) {
+        this.state.currentCategory = category;
+        const allAssets = this.assets[category] || [];
+
+        // Entries without a gender (animals, most addons) are for everyone
+        const gender = this.state.detectedGender;
+        if (gender) {
+            const filtered = allAssets.filter(a => !a.gender || a.gender === gender);
+            this.currentAssets = filtered.length > 0 ? filtered : allAssets;
+        } else {
+            this.currentAssets = allAssets;
+        }
+
+        if (category !== 'addons') this.state.selectedAddon = null;
+        if (category !== 'fun') this.state.selectedCaricature = null;
+
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === category);
+        });
+
+        // Reset selection when switching categories (a target still loading is dropped)
+        this.state.selectedImageIndex = -1;
+        this.selectionId++;
+        this.state.morphAmount = 0;
+        this.morphSlider.value = 0;
+        this.morphValue.textContent = '0%';
+        this.state.shapeAmount = 0;
+        this.shapeSlider.value = 0;
+        this.shapeValue.textContent = '0%';
+
+        this.renderFilterCarousel();
+    }
+
+    renderFilterCarousel() {
+        this.filterCarousel.innerHTML = '';
+
+        if (this.catalogError) {
+            const message = document.createElement('div');
+            message.className = 'carousel-message';
+            message.textContent = `Could not load targets (${this.catalogError})`;
+            this.filterCarousel.appendChild(message);
+            return;
+        }
+
+        this.currentAssets.forEach((asset, index) => {
+            const item = document.createElement('div');
+            item.className = 'filter-item' + (asset.isAddon ? ' addon-item' : '');
+            item.dataset.index = index;
+
+            const img = document.createElement('img');
+            img.src = asset.image;
+            img.alt = asset.name;
+            img.loading = 'lazy';
+            img.onerror = () => { img.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect fill="%23333" width="100" height="100"/></svg>'; };
+            item.appendChild(img);
+
+            // Filter interactions
+            item.addEventListener('mousedown', () => this.onFilterDown(index));
+            item.addEventListener('mouseup', () => this.onFilterUp(index));
+            item.addEventListener('mouseleave', () => this.cancelFilterHold());
+            item.addEventListener('touchstart', (e) => { e.preventDefault(); this.onFilterDown(index); });
+            item.addEventListener('touchend', () => this.onFilterUp(index));
+
+            this.filterCarousel.appendChild(item);
+        });
+
+        // Faces saved from here (average faces) are listed with the rest,
+        // so the action that makes them is too
+        const category = this.state.currentCategory;
+        if (category !== 'addons' && category !== 'fun' && this.currentAssets.filter(asset => !asset.isCustom).length >= 2) {
+            const item = document.createElement('button');
+            item.className = 'filter-item average-item';
+            item.title = 'Make average face';
+            const img = document.createElement('img');
+            img.src = 'assets/fun/average-me.svg';
+            img.alt = 'Make average face';
+            item.appendChild(img);
+            item.addEventListener('click', () => this.onAverageFaceClick(item));
+            this.filterCarousel.appendChild(item);
+        }
+
+        this.updateFilterSelection();
+    }
+
+    onFilterDown(index) {
+        this.isFilterHolding = true;
+        this.filterDownTime = Date.now();
+
+        // Start hold timer for video (800ms) - only if already selected
+        if (this.isAssetSelected(index)) {
+            this.filterHoldTimer = setTimeout(() => {
+                if (this.isFilterHolding) {
+                    this.startRecording(index);
+                }
+            }, 800);
+        }
+    }
+
+    onFilterUp(index) {
+        const wasHolding = this.isFilterHolding;
+        const holdDuration = Date.now() - this.filterDownTime;
+        this.isFilterHolding = false;
+
+        if (this.filterHoldTimer) {
+            clearTimeout(this.filterHoldTimer);
+            this.filterHoldTimer = null;
+        }
+
+        if (this.state.isRecording) {
+            // Stop recording
+            this.stopRecording();
+        } else if (wasHolding && holdDuration < 800) {
+            // Quick tap (less than 800ms)
+            if (this.isAssetSelected(index)) {
+                // Already selected - take photo
+                this.takeSnapshot();
+            } else if (this.state.mixMode) {
+                // Mix mode - add it to the mix
+                this.addMixPart(index);
+            } else {
+                // Not selected - select it (NO photo)
+                this.selectAsset(index);
+            }
+        }
+        // If holdDuration >= 800 and not recording, it means recording failed or was on unselected filter
+    }
+
+    cancelFilterHold() {
+        if (this.filterHoldTimer) {
+            clearTimeout(this.filterHoldTimer);
+            this.filterHoldTimer = null;
+        }
+    }
+
+    async selectAsset(index) {
+        this.state.selectedImageIndex = index;
+        const asset = this.currentAssets[index];
+        if (!asset) return;
+        const selectionId = ++this.selectionId;
+
+        this.updateFilterSelection();
+
+        // A tapped face gets the pick for itself; otherwise it becomes the default
+        const faceId = this.state.focusedFaceId;
+        const faceLabel = faceId !== null ? ` for face ${this.faceNumber(faceId)}` : '';
+
+        if (asset.isAddon) {
+            if (faceId !== null) {
+                this.assignToFace(faceId, { addon: asset });
+            } else {
+                this.state.selectedAddon = asset;
+                this.state.selectedCaricature = null;
+                this.releaseMorphTarget(this.target);
+                this.target = null;
+                this.bumpMorphScene();
+                this.state.morphAmount = 0;
+                this.morphSlider.value = 0;
+                this.morphValue.textContent = '0%';
+                this.state.shapeAmount = 0;
+                this.shapeSlider.value = 0;
+                this.shapeValue.textContent = '0%';
+            }
+            this.showStatus(`${asset.name} selected${faceLabel}`, false);
+        } else if (this.isFunAsset(asset)) {
+            // Fun: reshape the face itself, the morph slider sets how strongly
+            if (faceId !== null) {
+                this.assignToFace(faceId, { caricature: asset });
+            } else {
+                this.state.selectedAddon = null;
+                this.state.selectedCaricature = asset;
+                this.releaseMorphTarget(this.target);
+                this.target = null;
+                this.bumpMorphScene();
+            }
+            this.state.morphAmount = 1.0;
+            this.morphSlider.value = 100;
+            this.morphValue.textContent = '100%';
+            this.showStatus(`${asset.name} selected${faceLabel}`, false);
+        } else {
+            try {
+                const target = await this.loadMorphTarget(asset, asset.category === 'animals');
+                // Something else was picked while this one loaded
+                if (selectionId !== this.selectionId) return;
+                if (!target) {
+                    this.showStatus(`No landmarks for ${asset.name}`, true);
+                    return;
+                }
+
+                this.applyMorphTarget(target);
+                this.showStatus(`${asset.name} selected${faceLabel}`, false);
+            } catch (e) {
+                console.error(`[FaceMorphApp] ${asset.name}:`, e.message);
+                if (selectionId === this.selectionId) this.showStatus(`Failed to load ${asset.name}`, true);
+            }
+        }
+    }
+
+    /**
+     * Make a loaded target the focused face's target, or the default one,
+     * and morph into it fully
+     */
+    applyMorphTarget(target) {
+        const faceId = this.state.focusedFaceId;
+        if (faceId !== null) {
+            this.assignToFace(faceId, { target });
+        } else {
+            this.state.selectedAddon = null;
+            this.state.selectedCaricature = null;
+            this.releaseMorphTarget(this.target);
+            this.target = target;
+            this.bumpMorphScene();
+        }
+
+        // Build triangulation and scaled target once, not per frame
+        const { videoWidth, videoHeight } = this.video;
+        if (videoWidth && videoHeight) {
+            if (this.morphWorker) this.syncWorkerTarget(target, videoWidth, videoHeight);
+            else this.getPreparedTarget(target, videoWidth, videoHeight);
+        }
+
+        this.state.morphAmount = 1.0;
+        this.morphSlider.value = 100;
+        this.morphValue.textContent = '100%';
+    }
+
+    /**
+     * Whether a carousel item is picked: the selected item, or in mix mode
+     * any item in the mix
+     */
+    isAssetSelected(index) {
+        if (!this.state.mixMode) return this.state.selectedImageIndex === index;
+        const asset = this.currentAssets[index];
+        return this.mix.parts.some(part => part.asset === asset);
+    }
+
+    /**
+     * Fun items warp the camera face onto itself instead of loading a target
+     */
+    isFunAsset(asset) {
+        return asset.caricature !== undefined || asset.symmetry !== undefined;
+    }
+
+    /**
+     * Highlight the picked carousel items
+     */
+    updateFilterSelection() {
+        document.querySelectorAll('.filter-item').forEach((item, i) => {
+            item.classList.toggle('active', this.isAssetSelected(i));
+        });
+    }
+
+    // ============ MULTI-TARGET MIX ============
+
+    /**
+     * Mix mode: carousel taps add faces (up to 4) to a weighted mix, e.g.
+     * 50% Salah + 50% Ronaldo. Tapping a face already in the mix takes a
+     * photo and holding it records, as with a single target.
+     */
+    toggleMixMode() {
+        this.state.mixMode = !this.state.mixMode;
+        document.getElementById('mixBtn').classList.toggle('active', this.state.mixMode);
+        this.mixPanel.classList.toggle('hidden', !this.state.mixMode);
+        if (this.state.mixMode && !this.effectsPanel.classList.contains('hidden')) this.toggleEffectsPanel();
+
+        // Leaving keeps the mixed face on screen, only the picks are cleared
+        this.mix.parts = [];
+        this.mix.target = null;
+        this.state.selectedImageIndex = -1;
+        this.renderMixPanel();
+        this.updateFilterSelection();
+        this.showStatus(this.state.mixMode ? 'Mix: pick 2-4 faces' : 'Mix off', false);
+    }
+
+    /**
+     * Load a carousel asset and add it to the mix
+     */
+    async addMixPart(index) {
+        const asset = this.currentAssets[index];
+        if (!asset) return;
+        if (asset.isAddon || this.isFunAsset(asset)) {
+            this.showStatus(`${asset.name} cannot be mixed`, true);
+            return;
+        }
+        if (this.mix.parts.length >= this.mix.maxParts) {
+            this.showStatus(`Mix up to ${this.mix.maxParts} faces`, true);
+            return;
+        }
+
+        try {
+            const target = await this.loadMorphTarget(asset, asset.category === 'animals');
+            if (!target) {
+                this.showStatus(`No landmarks for ${asset.name}`, true);
+                return;
+            }
+            // Mode left or a double tap added it while loading
+            if (!this.state.mixMode || this.mix.parts.some(part => part.asset === asset)) return;
+            if (this.mix.parts.length >= this.mix.maxParts) return;
+
+            this.mix.parts.push({ asset, weight: 50, target });
+            this.renderMixPanel();
+            this.updateFilterSelection();
+            this.rebuildMix();
+        } catch (e) {
+            this.showStatus(`Failed to load ${asset.name}`, true);
+        }
+    }
+
+    removeMixPart(partIndex) {
+        this.mix.parts.splice(partIndex, 1);
+        this.renderMixPanel();
+        this.updateFilterSelection();
+        this.rebuildMix();
+    }
+
+    /**
+     * Weight editor: a row per face with a weight slider (0-100)
+     */
+    renderMixPanel() {
+        this.mixList.innerHTML = '';
+        const total = this.mix.parts.reduce((sum, part) => sum + part.weight, 0);
+
+        this.mix.parts.forEach((part, i) => {
+            const row = document.createElement('div');
+            row.className = 'mix-row';
+
+            const name = document.createElement('span');
+            name.className = 'mix-name';
+            name.textContent = part.asset.name;
+
+            const value = document.createElement('span');
+            value.className = 'mix-weight';
+            value.textContent = `${Math.round(total > 0 ? part.weight / total * 100 : 100 / this.mix.parts.length)}%`;
+
+            const remove = document.createElement('button');
+            remove.className = 'mix-remove';
+            remove.textContent = '×';
+            remove.title = `Remove ${part.asset.name}`;
+            remove.addEventListener('click', () => this.removeMixPart(i));
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = part.weight;
+            // Labels follow the drag; the (slow) mix is rebuilt on release
+            slider.addEventListener('input', () => {
+                part.weight = parseInt(slider.value);
+                this.updateMixWeights();
+            });
+            slider.addEventListener('change', () => this.rebuildMix());
+
+            row.append(name, value, remove, slider);
+            this.mixList.appendChild(row);
+        });
+
+        this.mixHint.classList.toggle('hidden', this.mix.parts.length >= 2);
+    }
+
+    /**
+     * Refresh the percentage labels after a weight slider moved
+     */
+    updateMixWeights() {
+        const total = this.mix.parts.reduce((sum, part) => sum + part.weight, 0);
+        this.mixList.querySelectorAll('.mix-weight').forEach((label, i) => {
+            const weight = this.mix.parts[i].weight;
+            label.textContent = `${Math.round(total > 0 ? weight / total * 100 : 100 / this.mix.parts.length)}%`;
+        });
+    }
+
+    /**
+     * Build the mixed face from the current parts and apply it as the target.
+     * One part is used as it is; the mix needs two or more. Without parts
+     * the mixed face is taken off again.
+     */
+    async rebuildMix() {
+        const parts = this.mix.parts;
+        if (this.mix.building) {
+            this.mix.rebuildPending = true;
+            return;
+        }
+        if (parts.length === 0) {
+            this.clearMixTarget();
+            return;
+        }
+        this.mix.building = true;
+
+        try {
+            if (parts.length === 1) {
+                // Fresh record: the part keeps its own copy for later mixes
+                const { target } = parts[0];
+                this.applyMixTarget({ ...target, id: this.nextTargetId++, prepared: null, workerSize: null });
+                this.showStatus(`${parts[0].asset.name} selected`, false);
+                return;
+            }
+
+            this.showStatus('Mixing faces...', false);
+            await new Promise(resolve => setTimeout(resolve, 0));  // Let the status paint
+
+            const total = parts.reduce((sum, part) => sum + part.weight, 0);
+            const percent = part => Math.round(total > 0 ? part.weight / total * 100 : 100 / parts.length);
+            const mixed = await this.mixTargets(
+                parts.map(part => part.target),
+                parts.map(part => part.weight));
+            // The last part was removed while mixing
+            if (this.mix.parts.length === 0) return;
+            if (!mixed) {
+                this.showStatus('Could not mix these faces', true);
+                return;
+            }
+
+            // Keep a blend mode only if every face asks for the same one
+            const blendModes = new Set(parts.map(part => part.asset.blendMode));
+            const name = parts.map(part => `${part.asset.name} ${percent(part)}%`).join(' + ');
+            const asset = { name, isMix: true };
+            if (blendModes.size === 1 && parts[0].asset.blendMode) asset.blendMode = parts[0].asset.blendMode;
+
+            this.applyMixTarget({
+                id: this.nextTargetId++,
+                asset,
+                imageData: mixed.imageData,
+                landmarks: mixed.landmarks,
+                isAnimal: parts.some(part => part.target.isAnimal),
+                prepared: null,
+                workerSize: null
+            });
+            this.showStatus(name, false);
+        } catch (e) {
+            console.error('[Mix] Failed to mix faces:', e);
+            this.showStatus('Could not mix these faces', true);
+        } finally {
+            this.mix.building = false;
+            if (this.mix.rebuildPending) {
+                this.mix.rebuildPending = false;
+                this.rebuildMix();
+            }
+        }
+    }
+
+    /**
+     * Mix targets in the worker if there is one, so the render loop keeps
+     * running while the (slow) mix is built
+     * @returns {Promise<Object|null>} { imageData, landmarks } (see MorphEngine.mixTargets)
+     */
+    mixTargets(targets, weights) {
+        const fallback = () => this.morphEngine.mixTargets(targets, weights);
+        if (!this.morphWorker) return Promise.resolve(fallback());
+
+        return new Promise((resolve) => {
+            const mixId = ++this.mix.requestId;
+            this.mix.request = { mixId, resolve, fallback };
+            this.morphWorker.postMessage({
+                type: 'mix',
+                mixId,
+                sources: targets.map(({ imageData, landmarks }) => ({ imageData, landmarks })),
+                weights
+            });
+        });
+    }
+
+    /**
+     * Apply a mixed face and remember it, so it can be taken off again
+     */
+    applyMixTarget(target) {
+        this.applyMorphTarget(target);
+        this.mix.target = target;
+    }
+
+    /**
+     * The last part left the mix: take the mixed face off again
+     */
+    clearMixTarget() {
+        const target = this.mix.target;
+        this.mix.target = null;
+        if (!target) return;
+
+        if (this.target === target) {
+            this.releaseMorphTarget(target);
+            this.target = null;
+            this.bumpMorphScene();
+        }
+        this.faceAssignments.forEach((assignment, faceId) => {
+            if (assignment.target !== target) return;
+            this.releaseMorphTarget(target);
+            this.faceAssignments.delete(faceId);
+            this.bumpMorphScene();
+        });
+        this.state.morphAmount = 0;
+        this.morphSlider.value = 0;
+        this.morphValue.textContent = '0%';
+    }
+
+    // ============ AVERAGE FACE ============
+
+    /**
+     * Build the "average face" of a category (or of some of its targets) and
+     * save it as a new carousel target, e.g. "Average Celeb".
+     * Every target is warped onto the mean landmark shape and the textures
+     * are averaged (MorphEngine.mixTargets with equal weights). Runs in the
+     * browser from the local assets; the result is kept in localStorage.
+     *
+     * @param {string} category - Category to average (default: current one)
+     * @param {string[]} names - Target names to use (default: all shown in the carousel)
+     * @returns {Promise<Object|null>} The new carousel asset
+     */
+    async createAverageFace(category = this.state.currentCategory, names = null) {
+        if (category === 'addons' || category === 'fun') {
+            this.showStatus('Only faces can be averaged', true);
+            return null;
+        }
+
+        // The carousel's list already respects the detected gender filter
+        const pool = category === this.state.currentCategory ? this.currentAssets : (this.assets[category] || []);
+        const assets = pool.filter(asset => !asset.isAddon && !asset.isCustom &&
+            (!names || names.includes(asset.name)));
+        if (assets.length < 2) {
+            this.showStatus('Need at least 2 faces to average', true);
+            return null;
+        }
+
+        this.showStatus(`Averaging ${assets.length} faces...`, false);
+        await new Promise(resolve => setTimeout(resolve, 0));  // Let the status paint
+
+        // Downscaled on load: the whole category is in memory at once
+        const sources = [];
+        for (const asset of assets) {
+            try {
+                const target = await this.loadMorphTarget(asset, category === 'animals', 720);
+                if (target) sources.push(target);
+            } catch (e) {
+                console.warn('[Average] Skipping', asset.name, e);
+            }
+        }
+        if (sources.length < 2) {
+            this.showStatus('Could not load enough faces', true);
+            return null;
+        }
+
+        const mixed = this.morphEngine.mixTargets(sources, sources.map(() => 1));
+        if (!mixed) {
+            this.showStatus('Could not average these faces', true);
+            return null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = mixed.imageData.width;
+        canvas.height = mixed.imageData.height;
+        canvas.getContext('2d').putImageData(mixed.imageData, 0, 0);
+
+        // Landmarks JSON in the same format as assets/landmarks (pixel [x, y] pairs)
+        const landmarks = mixed.landmarks.map(p => p ? [Math.round(p[0] * 10) / 10, Math.round(p[1] * 10) / 10] : null);
+        const labels = { animals: 'Animal', celebs: 'Celeb', history: 'Historical Figure', races: 'Face' };
+        const used = sources.map(target => target.asset);
+        const genders = new Set(used.map(asset => asset.gender));
+        const blendModes = new Set(used.map(asset => asset.blendMode));
+
+        const asset = {
+            name: `Average ${labels[category] || 'Face'}` + (names ? ` (${used.length})` : ''),
+            image: canvas.toDataURL('image/jpeg', 0.9),
+            landmarks: 'data:application/json,' + encodeURIComponent(JSON.stringify(landmarks)),
+            category,
+            isCustom: true
+        };
+        if (genders.size === 1 && used[0].gender) asset.gender = used[0].gender;
+        if (blendModes.size === 1 && used[0].blendMode) asset.blendMode = used[0].blendMode;
+
+        // Generating it again replaces the previous one
+        const list = this.assets[category];
+        const existing = list.findIndex(a => a.isCustom && a.name === asset.name);
+        if (existing >= 0) list.splice(existing, 1, asset);
+        else list.push(asset);
+
+        const stored = this.saveCustomTargets();
+        if (category === this.state.currentCategory) this.loadCategory(category);
+        this.showStatus(stored ? `${asset.name} saved` : `${asset.name} added (storage full, not saved)`, !stored);
+        return asset;
+    }
+
+    /**
+     * Average-face button (mix panel or carousel): the faces picked in mix
+     * mode, or the whole category
+     * @param {HTMLElement} button - Disabled while the average is built
+     */
+    onAverageFaceClick(button) {
+        const picked = this.mix.parts.map(part => part.asset.name);
+        button.disabled = true;
+        this.createAverageFace(this.state.currentCategory, picked.length >= 2 ? picked : null)
+            .finally(() => { button.disabled = false; });
+    }
+
+    // ============ CAPTURE ============
+
+    /**
+     * Take a photo. While morphing, the next frame is re-rendered at snapshot
+     * quality (bicubic sampling, seamless blending, on the main thread) and
+     * captured from there.
+     */
+    takeSnapshot() {
+        if (this.state.faceDetected && this.morphingFaces.length > 0) {
+            this.snapshotPending = true;
+            return;
+        }
+        this.captureSnapshot();
+    }
+
+    /**
+     * Save the current output canvas to the gallery
+     */
+    captureSnapshot() {
+        try {
+            const dataUrl = this.outputCanvas.toDataURL('image/png');
+            this.addToGallery(dataUrl, 'photo');
+
+            // Flash effect
             const flash = document.createElement('div');
             flash.style.cssText = 'position:fixed;inset:0;background:white;opacity:0.8;pointer-events:none;z-index:9999;animation:flash 0.3s ease-out forwards;';
             document.body.appendChild(flash);
@@ -1088,6 +2444,57 @@ class FaceMorphApp {
         }
     }
 
+    // ============ OFFLINE ============
+
+    /**
+     * Register the service worker (service-worker.js) that caches the app
+     * for offline use. A new version installs in the background and waits
+     * until the user accepts the reload prompt.
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('service-worker.js');
+
+            // An update that was installed while this page was not open
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateAccepted) window.location.reload();
+            });
+
+            // Kiosks never navigate, so the browser would not look for updates
+            setInterval(() => registration.update().catch(() => { }), 60 * 60 * 1000);
+        } catch (error) {
+            console.warn('[FaceMorphApp] Service worker not registered:', error.message);
+        }
+    }
+
+    /**
+     * Ask the user to reload into a new version
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    showUpdatePrompt(worker) {
+        this.updatePrompt.classList.remove('hidden');
+        document.getElementById('updateReloadBtn').onclick = () => {
+            this.updateAccepted = true;
+            worker.postMessage({ type: 'skipWaiting' });
+        };
+        document.getElementById('updateDismissBtn').onclick = () => this.updatePrompt.classList.add('hidden');
+    }
+
     // ============ SCAN ============
 
     async scanGenderAndAge() {
@@ -1140,13 +2547,21 @@ class FaceMorphApp {
             this.morphValue.textContent = `${e.target.value}%`;
         });
 
-        // Navigation
-        document.querySelectorAll('.nav-btn[data-category]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                if (btn.dataset.category) this.loadCategory(btn.dataset.category);
-            });
+        // Shape slider
+        this.shapeSlider.addEventListener('input', (e) => {
+            this.state.shapeAmount = parseInt(e.target.value) / 100;
+            this.shapeValue.textContent = `${e.target.value}%`;
         });
 
+        // Skin tone slider (color transfer strength)
+        this.colorStrengthSlider.addEventListener('input', (e) => {
+            this.state.colorTransferStrength = parseInt(e.target.value) / 100;
+            this.colorStrengthValue.textContent = `${e.target.value}%`;
+        });
+
+        // Tap a face to pick filters for that face only
+        this.outputCanvas.addEventListener('click', (e) => this.onCanvasTap(e.clientX, e.clientY));
+
         // Profile
         document.getElementById('profileBtn').addEventListener('click', () => this.openProfileModal());
         document.getElementById('closeProfileModal').addEventListener('click', () => this.closeProfileModal());
@@ -1171,12 +2586,22 @@ class FaceMorphApp {
 
         // Effects
         document.getElementById('effectsBtn')?.addEventListener('click', () => this.toggleEffectsPanel());
-        document.querySelectorAll('.effect-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.setEffect(btn.dataset.effect));
+        this.renderColorEffects();
+        document.querySelectorAll('.effect-scope-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setEffectScope(btn.dataset.scope));
         });
+        this.renderReshapeEffects();
 
         // Flip camera
         document.getElementById('flipCameraBtn')?.addEventListener('click', () => this.flipCamera());
+
+        // Face swap
+        document.getElementById('faceSwapBtn')?.addEventListener('click', () => this.toggleFaceSwap());
+
+        // Multi-target mix
+        document.getElementById('mixBtn')?.addEventListener('click', () => this.toggleMixMode());
+        const averageButton = document.getElementById('averageFaceBtn');
+        averageButton?.addEventListener('click', () => this.onAverageFaceClick(averageButton));
     }
 
     openProfileModal() {
@@ -1199,10 +2624,160 @@ class FaceMorphApp {
         document.getElementById('effectsBtn').classList.toggle('active', !this.effectsPanel.classList.contains('hidden'));
     }
 
+    /**
+     * Reshape section of the effects panel: a toggle per preset in the
+     * registry (reshape-presets.js) with its own intensity slider
+     */
+    renderReshapeEffects() {
+        const list = document.getElementById('reshapeList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        for (const preset of self.RESHAPE_PRESETS || []) {
+            const item = document.createElement('div');
+            item.className = 'reshape-item';
+
+            const button = document.createElement('button');
+            button.className = 'effect-btn';
+            button.dataset.reshape = preset.id;
+            button.textContent = preset.name;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'reshape-slider hidden';
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = 60;
+
+            button.addEventListener('click', () => {
+                const active = this.state.reshape[preset.id] > 0;
+                this.setReshape(preset.id, active ? 0 : parseInt(slider.value) / 100);
+            });
+            slider.addEventListener('input', () => this.setReshape(preset.id, parseInt(slider.value) / 100));
+
+            item.append(button, slider);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Turn a reshape preset on (intensity > 0) or off (0); presets stack
+     * @param {string} id - Preset id from reshape-presets.js
+     * @param {number} intensity - 0-1
+     */
+    setReshape(id, intensity) {
+        const item = document.querySelector(`.effect-btn[data-reshape="${id}"]`)?.parentElement;
+        if (intensity > 0) this.state.reshape[id] = intensity;
+        else delete this.state.reshape[id];
+
+        if (item) {
+            item.querySelector('.effect-btn').classList.toggle('active', intensity > 0);
+            item.querySelector('.reshape-slider').classList.toggle('hidden', !(intensity > 0));
+        }
+    }
+
+    /**
+     * Color effect buttons from the registry (color-effects.js), after "None"
+     */
+    renderColorEffects() {
+        const list = document.getElementById('effectList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const effects = [{ id: 'none', name: 'None' }, ...this.effectRenderer.effects.values()];
+        for (const effect of effects) {
+            const button = document.createElement('button');
+            button.className = 'effect-btn';
+            button.dataset.effect = effect.id;
+            button.classList.toggle('active', effect.id === this.state.currentEffect);
+
+            const preview = document.createElement('div');
+            preview.className = 'effect-preview';
+            if (effect.id === 'none') preview.classList.add('none-preview');
+            else preview.style.background = effect.preview || '#666';
+
+            const label = document.createElement('span');
+            label.textContent = effect.name;
+
+            button.append(preview, label);
+            button.addEventListener('click', () => this.setEffect(effect.id));
+            list.appendChild(button);
+        }
+    }
+
+    /**
+     * Sliders of the selected effect: intensity, then its own parameters
+     */
+    renderEffectControls() {
+        const controls = document.getElementById('effectControls');
+        const container = document.getElementById('effectParams');
+        if (!controls || !container) return;
+
+        const effect = this.effectRenderer.get(this.state.currentEffect);
+        controls.classList.toggle('hidden', !effect);
+        container.innerHTML = '';
+        if (!effect) return;
+
+        const values = this.effectRenderer.resolveParams(effect, this.state.effectParams[effect.id]);
+        const params = [
+            { id: 'intensity', name: 'Intensity', min: 0, max: 1, step: 0.05 },
+            ...(effect.params || [])
+        ];
+        for (const param of params) {
+            const label = document.createElement('label');
+            label.className = 'effect-param';
+            label.textContent = param.name;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'effect-slider';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step || 0.01;
+            slider.value = values[param.id];
+            slider.addEventListener('input', () => {
+                const own = this.state.effectParams[effect.id] || {};
+                this.state.effectParams[effect.id] = { ...own, [param.id]: parseFloat(slider.value) };
+            });
+
+            label.appendChild(slider);
+            container.appendChild(label);
+        }
+
+        const scope = effect.scope || this.state.effectScope;
+        document.querySelectorAll('.effect-scope-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scope === scope);
+            btn.disabled = !!effect.scope;
+        });
+    }
+
     setEffect(effect) {
         this.state.currentEffect = effect;
-        document.querySelectorAll('.effect-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.effect === effect));
-        this.showStatus(`Effect: ${effect === 'none' ? 'None' : effect === 'bw' ? 'B&W' : 'Purple'}`, false);
+        document.querySelectorAll('.effect-btn[data-effect]').forEach(btn => btn.classList.toggle('active', btn.dataset.effect === effect));
+        this.renderEffectControls();
+
+        const entry = this.effectRenderer.get(effect);
+        this.showStatus(`Effect: ${entry ? entry.name : 'None'}`, false);
+
+        // LUT effects load their .cube file first
+        if (entry && entry.lut) {
+            this.effectRenderer.prepare(effect).then(ready => {
+                if (!ready) this.showStatus(`Could not load ${entry.name}`, true);
+            });
+        }
+    }
+
+    /**
+     * Limit the color effect to the face, the background, or neither
+     * @param {string} scope - 'frame', 'face' or 'background'
+     */
+    setEffectScope(scope) {
+        this.state.effectScope = scope;
+        document.querySelectorAll('.effect-scope-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scope === scope);
+        });
+        const names = { frame: 'whole frame', face: 'face only', background: 'background only' };
+        this.showStatus(`Effect: ${names[scope]}`, false);
     }
 
     async flipCamera() {
@@ -1241,6 +2816,9 @@ class FaceMorphApp {
             this.stream = stream;
             await new Promise(r => { this.video.onloadedmetadata = () => { this.video.play(); r(); }; });
 
+            // Mirroring changed, so face tracks and smoothing history no longer match
+            this.faceTracker.reset();
+
             const cameraName = this.currentFacingMode === 'user' ? 'Front' : 'Back';
             this.showStatus(`${cameraName} camera`, false);
         } catch (e) {
@@ -0,0 +1,256 @@
+/**
+ * ============================================================================
+ * COLOR EFFECTS - Color filters for the output frame as data
+ * ============================================================================
+ *
+ * Every effect in the effects panel is an entry below; EffectRenderer
+ * (effect-renderer.js) runs them on the composited frame after the morph
+ * and addons, so snapshots and recordings get them too. They run on every
+ * camera frame (up to 1280x720), so each is a single pass or two over
+ * the pixels.
+ *
+ * ENTRIES:
+ * --------
+ *     { id, name, preview, params, scope, cover, pixel | kernel | lut | frame }
+ *
+ * - preview: CSS background of the swatch in the panel
+ * - params:  extra sliders, { id, name, min, max, step, default } each;
+ *            their values are passed to `pixel` / `kernel` / `frame`
+ * - scope:   fixed scope ('face' for anonymizing), instead of the one
+ *            picked in the panel
+ * - cover:   the face mask is hardened so the effect stays opaque up to
+ *            the face outline (anonymizing)
+ * - pixel(data, i, params): change the RGBA pixel at data[i..i+3] in place
+ * - kernel:  square convolution weights, row by row (or a function of the
+ *            params returning them); optional `divisor` (default: sum of
+ *            the weights, or 1 if that is 0) and `bias`
+ * - lut:     URL of a 3D LUT in Adobe .cube format, loaded on first use
+ * - frame(imageData, params, renderer): whole-frame effect for anything
+ *            that needs neighbours or positions; the renderer provides
+ *            shared helpers (edges, block averages)
+ *
+ * Every effect also gets an intensity (0-1, a mix with the unfiltered
+ * frame) and a scope from the renderer: whole frame, face only or
+ * background only (feathered face mask, see MorphEngine.createFaceMask).
+ *
+ * Adding an effect is adding an entry below; the panel lists them all.
+ */
+
+const COLOR_EFFECTS = [
+    {
+        id: 'purple',
+        name: 'Purple',
+        preview: 'linear-gradient(135deg, #6B21A8, #A855F7, #C084FC)',
+        // Purple tint: boost red and blue, reduce green
+        pixel(data, i) {
+            data[i] = Math.min(255, data[i] * 1.1 + 30);
+            data[i + 1] = Math.max(0, data[i + 1] * 0.7);
+            data[i + 2] = Math.min(255, data[i + 2] * 1.2 + 40);
+        }
+    },
+    {
+        id: 'bw',
+        name: 'B&W',
+        preview: 'linear-gradient(135deg, #000, #888, #fff)',
+        // Luminance: human eyes are most sensitive to green, then red, then blue
+        pixel(data, i) {
+            const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            data[i] = data[i + 1] = data[i + 2] = gray;
+        }
+    },
+    {
+        id: 'sepia',
+        name: 'Sepia',
+        preview: 'linear-gradient(135deg, #3E2A14, #A47848, #F1DDB5)',
+        pixel(data, i) {
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            data[i] = r * 0.393 + g * 0.769 + b * 0.189;
+            data[i + 1] = r * 0.349 + g * 0.686 + b * 0.168;
+            data[i + 2] = r * 0.272 + g * 0.534 + b * 0.131;
+        }
+    },
+    {
+        id: 'vignette',
+        name: 'Vignette',
+        preview: 'radial-gradient(circle, #ddd 30%, #000 75%)',
+        params: [
+            { id: 'radius', name: 'Radius', min: 0.2, max: 1, step: 0.05, default: 0.55 },
+            { id: 'softness', name: 'Softness', min: 0.1, max: 1, step: 0.05, default: 0.5 }
+        ],
+        // Darken towards the corners; distance 1 = corner
+        frame(imageData, { radius, softness }) {
+            const { width, height, data } = imageData;
+            const cx = width / 2, cy = height / 2;
+            const inv = 1 / Math.hypot(cx, cy);
+            for (let y = 0; y < height; y++) {
+                const dy2 = (y - cy) * (y - cy);
+                for (let x = 0; x < width; x++) {
+                    const d = Math.sqrt((x - cx) * (x - cx) + dy2) * inv;
+                    const t = Math.max(0, Math.min(1, (d - radius) / softness));
+                    const f = 1 - t * t * (3 - 2 * t);
+                    const i = (y * width + x) * 4;
+                    data[i] *= f;
+                    data[i + 1] *= f;
+                    data[i + 2] *= f;
+                }
+            }
+        }
+    },
+    {
+        id: 'posterize',
+        name: 'Posterize',
+        preview: 'linear-gradient(135deg, #E63946 33%, #F1FAEE 33%, #F1FAEE 66%, #457B9D 66%)',
+        params: [
+            { id: 'levels', name: 'Levels', min: 2, max: 8, step: 1, default: 4 }
+        ],
+        frame(imageData, { levels }, renderer) {
+            const data = imageData.data;
+            const table = renderer.posterizeTable(levels);
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = table[data[i]];
+                data[i + 1] = table[data[i + 1]];
+                data[i + 2] = table[data[i + 2]];
+            }
+        }
+    },
+    {
+        id: 'cartoon',
+        name: 'Cartoon',
+        preview: 'linear-gradient(135deg, #FFB703 45%, #000 45%, #000 55%, #219EBC 55%)',
+        params: [
+            { id: 'levels', name: 'Levels', min: 2, max: 8, step: 1, default: 5 },
+            { id: 'edges', name: 'Edges', min: 0, max: 1, step: 0.05, default: 0.5 }
+        ],
+        // Posterized colors with dark outlines where the Sobel edges are strong
+        frame(imageData, { levels, edges }, renderer) {
+            const { width, height, data } = imageData;
+            const magnitude = renderer.sobel(imageData);
+            const table = renderer.posterizeTable(levels);
+            const threshold = 0.45 - edges * 0.35;
+            for (let p = 0; p < width * height; p++) {
+                const i = p * 4;
+                const t = Math.max(0, Math.min(1, (magnitude[p] - threshold) * 10));
+                const ink = 1 - t * 0.85;
+                data[i] = table[data[i]] * ink;
+                data[i + 1] = table[data[i + 1]] * ink;
+                data[i + 2] = table[data[i + 2]] * ink;
+            }
+        }
+    },
+    {
+        id: 'sketch',
+        name: 'Pencil Sketch',
+        preview: 'repeating-linear-gradient(135deg, #fff 0 3px, #777 3px 4px)',
+        params: [
+            { id: 'strength', name: 'Lines', min: 0.5, max: 4, step: 0.1, default: 2 }
+        ],
+        // Graphite lines (Sobel edges) on white paper
+        frame(imageData, { strength }, renderer) {
+            const { width, height, data } = imageData;
+            const magnitude = renderer.sobel(imageData);
+
+            // Paper brightness for 256 steps of line darkness
+            const shade = new Uint8ClampedArray(256);
+            for (let k = 0; k < 256; k++) shade[k] = 255 * Math.pow(1 - k / 255, 1.5);
+
+            for (let p = 0; p < width * height; p++) {
+                const i = p * 4;
+                const gray = shade[Math.min(255, (magnitude[p] * strength * 255) | 0)];
+                data[i] = data[i + 1] = data[i + 2] = gray;
+            }
+        }
+    },
+    {
+        id: 'grain',
+        name: 'Film Grain',
+        preview: 'radial-gradient(circle at 30% 30%, #999 10%, #555 11%, #777 40%, #444 41%)',
+        params: [
+            { id: 'amount', name: 'Amount', min: 5, max: 80, step: 1, default: 30 }
+        ],
+        // New monochrome noise every frame, strongest in the mid-tones
+        frame(imageData, { amount }) {
+            const data = imageData.data;
+            let seed = (Math.random() * 0xffffffff) >>> 0 || 1;
+            for (let i = 0; i < data.length; i += 4) {
+                // xorshift32: much cheaper than Math.random() per pixel
+                seed ^= seed << 13;
+                seed ^= seed >>> 17;
+                seed ^= seed << 5;
+                const noise = ((seed >>> 0) / 0xffffffff - 0.5) * amount;
+                const luma = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+                const n = noise * 4 * luma * (1 - luma) + noise * 0.25;
+                data[i] += n;
+                data[i + 1] += n;
+                data[i + 2] += n;
+            }
+        }
+    },
+    {
+        id: 'pixelate',
+        name: 'Pixelate Face',
+        preview: 'repeating-conic-gradient(#b08968 0 25%, #7f5539 0 50%) 0 0 / 12px 12px',
+        params: [
+            { id: 'blockSize', name: 'Block Size', min: 6, max: 48, step: 1, default: 18 }
+        ],
+        scope: 'face',
+        cover: true,
+        frame(imageData, { blockSize }, renderer) {
+            const { width, height, data } = imageData;
+            const size = Math.max(2, Math.round(blockSize));
+            const blocks = renderer.blockAverage(imageData, size);
+            for (let y = 0; y < height; y++) {
+                const row = Math.floor(y / size) * blocks.columns;
+                for (let x = 0; x < width; x++) {
+                    const b = (row + Math.floor(x / size)) * 3;
+                    const i = (y * width + x) * 4;
+                    data[i] = blocks.data[b];
+                    data[i + 1] = blocks.data[b + 1];
+                    data[i + 2] = blocks.data[b + 2];
+                }
+            }
+        }
+    },
+    {
+        id: 'faceBlur',
+        name: 'Blur Face',
+        preview: 'radial-gradient(circle, #c8a27a 20%, #8d6e63 70%)',
+        params: [
+            { id: 'radius', name: 'Radius', min: 4, max: 48, step: 1, default: 20 }
+        ],
+        scope: 'face',
+        cover: true,
+        // Block averages, then bilinear back up: a strong blur in two cheap passes
+        frame(imageData, { radius }, renderer) {
+            const blocks = renderer.blockAverage(imageData, Math.max(2, Math.round(radius)));
+            renderer.upsampleBlocks(blocks, imageData);
+        }
+    },
+    {
+        id: 'sharpen',
+        name: 'Sharpen',
+        preview: 'radial-gradient(circle, #fff 20%, #555 22%, #555 40%, #ddd 42%)',
+        params: [
+            { id: 'amount', name: 'Amount', min: 0.2, max: 2, step: 0.1, default: 0.8 }
+        ],
+        kernel: ({ amount }) => [
+            0, -amount, 0,
+            -amount, 1 + 4 * amount, -amount,
+            0, -amount, 0
+        ]
+    },
+    {
+        id: 'tealOrange',
+        name: 'Teal & Orange',
+        preview: 'linear-gradient(135deg, #0F4C5C, #3A8E8C, #F2A65A)',
+        lut: 'assets/luts/teal-orange.cube'
+    },
+    {
+        id: 'vintage',
+        name: 'Vintage',
+        preview: 'linear-gradient(135deg, #3B3129, #A38C6D, #E8D9B5)',
+        lut: 'assets/luts/vintage.cube'
+    }
+];
+
+// Export for use in app.js
+self.COLOR_EFFECTS = COLOR_EFFECTS;
@@ -0,0 +1,478 @@
+/**
+ * ============================================================================
+ * EFFECT RENDERER - Runs color effects (color-effects.js) on a frame
+ * ============================================================================
+ *
+ * HOW IT WORKS:
+ * -------------
+ * 1. Keep a copy of the frame (unless the effect covers all of it fully);
+ *    with the face scope only the face's bounding box is filtered
+ * 2. Run the effect in place: per-pixel function, convolution kernel,
+ *    3D LUT lookup (trilinear between the LUT's grid points) or a
+ *    whole-frame function
+ * 3. Mix the copy back in per pixel:
+ *
+ *        weight = intensity × scope weight
+ *        scope weight: 'frame' 1, 'face' mask, 'background' 1 - mask
+ *
+ *    The mask is the feathered face mask (white = face), so a
+ *    black-and-white background fades into a colored face. Effects that
+ *    cover the face (pixelate / blur for anonymized captures) double the
+ *    mask, so they stay opaque up to the face outline. They also fail
+ *    closed: in a frame without a face mask they cover the box where the
+ *    face was last seen (grown a little, the face may have moved), or the
+ *    whole frame if no face has been seen yet.
+ *
+ * LUTS:
+ * -----
+ * .cube files (Adobe / Resolve 3D LUT format): `LUT_3D_SIZE N` followed by
+ * N³ "r g b" lines, red changing fastest, optional DOMAIN_MIN/DOMAIN_MAX.
+ * A LUT is fetched the first time its effect is used; until it has loaded
+ * the effect is skipped.
+ */
+
+class EffectRenderer {
+    /**
+     * @param {Object[]} effects - Effect registry (default: COLOR_EFFECTS)
+     */
+    constructor(effects = self.COLOR_EFFECTS || []) {
+        this.effects = new Map(effects.map(effect => [effect.id, effect]));
+        this.luts = new Map();      // url → { promise, lut } (lut null until loaded)
+        this.posterizeCache = null; // { levels, table } of the last posterizeTable() call
+        this.lastFaceBox = null;    // Bounding box of the last face mask (covering effects without a face)
+    }
+
+    /**
+     * Effect by id, or null
+     */
+    get(id) {
+        return this.effects.get(id) || null;
+    }
+
+    /**
+     * Parameter values for an effect: its defaults, overridden by `values`
+     * @param {Object} effect - Registry entry
+     * @param {Object} values - paramId → value
+     * @returns {Object} paramId → value (always includes intensity)
+     */
+    resolveParams(effect, values = {}) {
+        const params = { intensity: 1 };
+        for (const param of effect.params || []) params[param.id] = param.default;
+        return { ...params, ...values };
+    }
+
+    /**
+     * Load whatever the effect needs before it can run (its LUT)
+     * @param {string} id - Effect id
+     * @returns {Promise<boolean>} Whether the effect is ready
+     */
+    async prepare(id) {
+        const effect = this.get(id);
+        if (!effect) return false;
+        if (!effect.lut) return true;
+        return !!(await this.loadLut(effect.lut));
+    }
+
+    /**
+     * Fetch and parse a .cube LUT (once per URL)
+     * @param {string} url - LUT file
+     * @returns {Promise<Object|null>} Parsed LUT, or null if it could not be loaded
+     */
+    loadLut(url) {
+        let entry = this.luts.get(url);
+        if (!entry) {
+            entry = { lut: null, promise: null };
+            entry.promise = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(text => {
+                    entry.lut = this.parseCube(text);
+                    return entry.lut;
+                })
+                .catch(error => {
+                    console.error('[EffectRenderer] Failed to load LUT', url, error);
+                    return null;
+                });
+            this.luts.set(url, entry);
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Parse an Adobe .cube 3D LUT
+     * @param {string} text - File contents
+     * @returns {Object} { size, table, domainMin, domainMax }; table holds
+     *                   size³ RGB triples (0-1), red changing fastest
+     */
+    parseCube(text) {
+        let size = 0;
+        let domainMin = [0, 0, 0], domainMax = [1, 1, 1];
+        const values = [];
+
+        for (const raw of text.split(/\r?\n/)) {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const parts = line.split(/\s+/);
+            const keyword = parts[0].toUpperCase();
+            if (keyword === 'TITLE') continue;
+            if (keyword === 'LUT_3D_SIZE') size = parseInt(parts[1]);
+            else if (keyword === 'LUT_1D_SIZE') throw new Error('1D LUTs are not supported');
+            else if (keyword === 'DOMAIN_MIN') domainMin = parts.slice(1, 4).map(Number);
+            else if (keyword === 'DOMAIN_MAX') domainMax = parts.slice(1, 4).map(Number);
+            else if (/^[-+.\d]/.test(keyword)) values.push(...parts.slice(0, 3).map(Number));
+        }
+
+        if (!(size >= 2) || values.length !== size * size * size * 3 || values.some(Number.isNaN)) {
+            throw new Error(`Malformed .cube LUT (size ${size}, ${values.length / 3} entries)`);
+        }
+        return { size, table: new Float32Array(values), domainMin, domainMax };
+    }
+
+    /**
+     * Run an effect on a frame in place
+     * @param {ImageData} imageData - Frame (modified in place)
+     * @param {string} id - Effect id
+     * @param {Object} options
+     * @param {Object} options.params - Parameter values, incl. intensity 0-1 (see resolveParams)
+     * @param {string} options.scope - 'frame' (default), 'face' or 'background'
+     *                                  (an effect with its own scope ignores this)
+     * @param {ImageData|null} options.mask - Face mask (R channel, 255 = face) for the
+     *                                        face / background scopes; null = no face
+     *                                        (covering effects then use coverBox())
+     * @returns {boolean} Whether the frame was changed
+     */
+    apply(imageData, id, { params = {}, scope = 'frame', mask = null } = {}) {
+        const effect = this.get(id);
+        if (!effect) return false;
+        if (effect.scope) scope = effect.scope;
+
+        const values = this.resolveParams(effect, params);
+        const intensity = Math.max(0, Math.min(1, values.intensity));
+        if (intensity <= 0 || (scope === 'face' && !mask && !effect.cover)) return false;
+
+        let lut = null;
+        if (effect.lut) {
+            const entry = this.luts.get(effect.lut);
+            lut = entry && entry.lut;
+            if (!lut) {
+                this.loadLut(effect.lut);
+                return false;
+            }
+        }
+
+        // Face scope: only the face's bounding box is filtered
+        if (scope === 'face') {
+            const box = mask ? this.maskBounds(mask) : null;
+            if (box) this.lastFaceBox = box;
+            else if (!effect.cover) return false;
+
+            const area = box || this.coverBox(imageData);
+            const region = this.crop(imageData, area);
+            this.runEffect(region, effect, values, lut);
+            this.blendRegion(imageData, region, area, intensity, box ? mask : null, !!effect.cover);
+            return true;
+        }
+
+        // Unfiltered copy to mix back in (no face: the background is the whole frame)
+        const background = scope === 'background' ? mask : null;
+        const original = intensity < 1 || background ? imageData.data.slice() : null;
+        this.runEffect(imageData, effect, values, lut);
+        if (original) this.mixBack(imageData, original, intensity, background);
+        return true;
+    }
+
+    /**
+     * Run an effect over a whole ImageData in place
+     */
+    runEffect(imageData, effect, values, lut) {
+        if (effect.pixel) this.applyPixel(imageData, effect.pixel, values);
+        else if (effect.kernel) this.applyKernel(imageData, effect, values);
+        else if (lut) this.applyLut(imageData, lut);
+        else if (effect.frame) effect.frame(imageData, values, this);
+    }
+
+    /**
+     * Per-pixel effect
+     */
+    applyPixel(imageData, pixel, values) {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) pixel(data, i, values);
+    }
+
+    /**
+     * Square convolution of the RGB channels (edge pixels clamped)
+     */
+    applyKernel(imageData, effect, values) {
+        const weights = typeof effect.kernel === 'function' ? effect.kernel(values) : effect.kernel;
+        const n = Math.round(Math.sqrt(weights.length));
+        if (n * n !== weights.length || n % 2 === 0) {
+            console.error('[EffectRenderer] Kernel must be square with odd size:', effect.id);
+            return;
+        }
+
+        const sum = weights.reduce((a, b) => a + b, 0);
+        const divisor = effect.divisor || (Math.abs(sum) > 1e-9 ? sum : 1);
+        const bias = effect.bias || 0;
+        const r = (n - 1) / 2;
+
+        const { width, height, data } = imageData;
+        const src = data.slice();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let red = 0, green = 0, blue = 0;
+                for (let ky = 0; ky < n; ky++) {
+                    const row = Math.min(height - 1, Math.max(0, y + ky - r)) * width;
+                    for (let kx = 0; kx < n; kx++) {
+                        const w = weights[ky * n + kx];
+                        if (w === 0) continue;
+                        const j = (row + Math.min(width - 1, Math.max(0, x + kx - r))) * 4;
+                        red += src[j] * w;
+                        green += src[j + 1] * w;
+                        blue += src[j + 2] * w;
+                    }
+                }
+                const i = (y * width + x) * 4;
+                data[i] = red / divisor + bias;
+                data[i + 1] = green / divisor + bias;
+                data[i + 2] = blue / divisor + bias;
+            }
+        }
+    }
+
+    /**
+     * 3D LUT lookup with trilinear interpolation
+     */
+    applyLut(imageData, lut) {
+        const { size, table, domainMin, domainMax } = lut;
+        const data = imageData.data;
+        const max = size - 1;
+        const scale = [0, 1, 2].map(c => max / (255 * (domainMax[c] - domainMin[c])));
+        const offset = [0, 1, 2].map(c => -domainMin[c] * max / (domainMax[c] - domainMin[c]));
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = Math.min(max, Math.max(0, data[i] * scale[0] + offset[0]));
+            const g = Math.min(max, Math.max(0, data[i + 1] * scale[1] + offset[1]));
+            const b = Math.min(max, Math.max(0, data[i + 2] * scale[2] + offset[2]));
+            const r0 = Math.min(max - 1, Math.floor(r)), g0 = Math.min(max - 1, Math.floor(g)), b0 = Math.min(max - 1, Math.floor(b));
+            const fr = r - r0, fg = g - g0, fb = b - b0;
+
+            // Corner (r0, g0, b0) and the steps to its neighbours in the table
+            const base = ((b0 * size + g0) * size + r0) * 3;
+            const dr = 3, dg = size * 3, db = size * size * 3;
+
+            for (let ch = 0; ch < 3; ch++) {
+                const k = base + ch;
+                const c00 = table[k] + (table[k + dr] - table[k]) * fr;
+                const c10 = table[k + dg] + (table[k + dg + dr] - table[k + dg]) * fr;
+                const c01 = table[k + db] + (table[k + db + dr] - table[k + db]) * fr;
+                const c11 = table[k + db + dg] + (table[k + db + dg + dr] - table[k + db + dg]) * fr;
+                const c0 = c00 + (c10 - c00) * fg;
+                const c1 = c01 + (c11 - c01) * fg;
+                data[i + ch] = (c0 + (c1 - c0) * fb) * 255;
+            }
+        }
+    }
+
+    /**
+     * Mix the unfiltered frame back in by intensity, keeping the face
+     * unfiltered if a mask is given (background scope)
+     * @param {ImageData|null} mask - Face mask, or null to filter everywhere
+     */
+    mixBack(imageData, original, intensity, mask) {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const weight = mask ? intensity * (1 - mask.data[i] / 255) : intensity;
+            for (let ch = 0; ch < 3; ch++) {
+                data[i + ch] = original[i + ch] + (data[i + ch] - original[i + ch]) * weight;
+            }
+        }
+    }
+
+    /**
+     * Bounding box of the mask's nonzero pixels
+     * @returns {Object|null} { x, y, width, height }, or null if the mask is empty
+     */
+    maskBounds(mask) {
+        const { width, height, data } = mask;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (data[(row + x) * 4] === 0) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Where a covering effect goes in a frame without a face mask: the last
+     * face box grown by a quarter of its size on every side, or the whole
+     * frame if there is none (or it lies outside this frame)
+     * @returns {Object} { x, y, width, height }
+     */
+    coverBox(imageData) {
+        const { width, height } = imageData;
+        const last = this.lastFaceBox;
+        if (last) {
+            const grow = Math.round(Math.max(last.width, last.height) / 4);
+            const x = Math.max(0, last.x - grow), y = Math.max(0, last.y - grow);
+            const right = Math.min(width, last.x + last.width + grow);
+            const bottom = Math.min(height, last.y + last.height + grow);
+            if (right > x && bottom > y) return { x, y, width: right - x, height: bottom - y };
+        }
+        return { x: 0, y: 0, width, height };
+    }
+
+    /**
+     * Copy a rectangle of a frame into a new ImageData
+     */
+    crop(imageData, box) {
+        const region = new ImageData(box.width, box.height);
+        for (let y = 0; y < box.height; y++) {
+            const start = ((box.y + y) * imageData.width + box.x) * 4;
+            region.data.set(imageData.data.subarray(start, start + box.width * 4), y * box.width * 4);
+        }
+        return region;
+    }
+
+    /**
+     * Blend a filtered rectangle into the frame through the face mask
+     * @param {ImageData|null} mask - Face mask; null = the whole rectangle
+     * @param {boolean} cover - Double the mask, so the effect stays opaque
+     *                          up to the face outline (anonymizing)
+     */
+    blendRegion(imageData, region, box, intensity, mask, cover) {
+        const data = imageData.data;
+        const gain = (cover ? 2 : 1) / 255;
+        for (let y = 0; y < box.height; y++) {
+            for (let x = 0; x < box.width; x++) {
+                const i = ((box.y + y) * imageData.width + box.x + x) * 4;
+                const j = (y * box.width + x) * 4;
+                const weight = mask ? intensity * Math.min(1, mask.data[i] * gain) : intensity;
+                for (let ch = 0; ch < 3; ch++) {
+                    data[i + ch] += (region.data[j + ch] - data[i + ch]) * weight;
+                }
+            }
+        }
+    }
+
+    // ========================================================================
+    // HELPERS FOR FRAME EFFECTS
+    // ========================================================================
+
+    /**
+     * Sobel edge strength of the frame's luminance
+     * @param {ImageData} imageData - Frame
+     * @returns {Float32Array} Gradient magnitude per pixel, about 0-1
+     *                         (1 = black/white step); 0 on the frame border
+     */
+    sobel(imageData) {
+        const { width, height, data } = imageData;
+        const luma = new Float32Array(width * height);
+        for (let p = 0; p < luma.length; p++) {
+            const i = p * 4;
+            luma[p] = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+        }
+
+        // 3x3 Sobel: gx = [-1 0 1; -2 0 2; -1 0 1], gy its transpose
+        const magnitude = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const p = y * width + x;
+                const tl = luma[p - width - 1], t = luma[p - width], tr = luma[p - width + 1];
+                const l = luma[p - 1], r = luma[p + 1];
+                const bl = luma[p + width - 1], b = luma[p + width], br = luma[p + width + 1];
+                const gx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+                const gy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+                magnitude[p] = Math.sqrt(gx * gx + gy * gy) / 4;
+            }
+        }
+        return magnitude;
+    }
+
+    /**
+     * Lookup table quantizing a channel value 0-255 to `levels` evenly spaced levels
+     * @param {number} levels - Number of levels (2 or more)
+     * @returns {Uint8ClampedArray} 256 entries
+     */
+    posterizeTable(levels) {
+        const n = Math.max(2, Math.round(levels));
+        if (this.posterizeCache && this.posterizeCache.levels === n) return this.posterizeCache.table;
+
+        const step = 255 / (n - 1);
+        const table = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) table[v] = Math.round(v / step) * step;
+        this.posterizeCache = { levels: n, table };
+        return table;
+    }
+
+    /**
+     * Average color of each size×size block of the frame
+     * @param {ImageData} imageData - Frame
+     * @param {number} size - Block size in pixels
+     * @returns {Object} { size, columns, rows, data } with RGB per block in data
+     */
+    blockAverage(imageData, size) {
+        const { width, height, data } = imageData;
+        const columns = Math.ceil(width / size), rows = Math.ceil(height / size);
+        const sums = new Float32Array(columns * rows * 3);
+        const counts = new Float32Array(columns * rows);
+
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y / size) * columns;
+            for (let x = 0; x < width; x++) {
+                const block = row + Math.floor(x / size);
+                const i = (y * width + x) * 4;
+                sums[block * 3] += data[i];
+                sums[block * 3 + 1] += data[i + 1];
+                sums[block * 3 + 2] += data[i + 2];
+                counts[block]++;
+            }
+        }
+        for (let block = 0; block < counts.length; block++) {
+            for (let ch = 0; ch < 3; ch++) sums[block * 3 + ch] /= counts[block];
+        }
+        return { size, columns, rows, data: sums };
+    }
+
+    /**
+     * Draw block averages back at full size, interpolating bilinearly
+     * between block centres (a cheap large blur)
+     * @param {Object} blocks - Result of blockAverage()
+     * @param {ImageData} imageData - Frame to overwrite
+     */
+    upsampleBlocks(blocks, imageData) {
+        const { size, columns, rows } = blocks;
+        const { width, height, data } = imageData;
+        const block = blocks.data;
+
+        for (let y = 0; y < height; y++) {
+            const fy = Math.max(0, Math.min(rows - 1, (y + 0.5) / size - 0.5));
+            const y0 = Math.floor(fy), y1 = Math.min(rows - 1, y0 + 1), ty = fy - y0;
+            for (let x = 0; x < width; x++) {
+                const fx = Math.max(0, Math.min(columns - 1, (x + 0.5) / size - 0.5));
+                const x0 = Math.floor(fx), x1 = Math.min(columns - 1, x0 + 1), tx = fx - x0;
+
+                const a = (y0 * columns + x0) * 3, b = (y0 * columns + x1) * 3;
+                const c = (y1 * columns + x0) * 3, d = (y1 * columns + x1) * 3;
+                const i = (y * width + x) * 4;
+                for (let ch = 0; ch < 3; ch++) {
+                    const top = block[a + ch] + (block[b + ch] - block[a + ch]) * tx;
+                    const bottom = block[c + ch] + (block[d + ch] - block[c + ch]) * tx;
+                    data[i + ch] = top + (bottom - top) * ty;
+                }
+            }
+        }
+    }
+}
+
+// Export for use in app.js
+self.EffectRenderer = EffectRenderer;
@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * FACE TRACKER - Stable identities for multiple faces across frames
+ * ============================================================================
+ *
+ * MediaPipe returns faces in no particular order, so "face 0" in one frame
+ * may be "face 1" in the next. To give every person their own morph target
+ * the app needs identities that survive from frame to frame.
+ *
+ * MATCHING:
+ * ---------
+ * Each frame, detected faces are matched to existing tracks by position:
+ * - Distance between face centers, relative to the track's face size
+ * - Greedy: closest (track, detection) pairs are matched first
+ * - Pairs further apart than `maxMatchDistance` face sizes are not matched
+ *
+ * Unmatched detections start new tracks. Unmatched tracks are kept for
+ * `maxMissedFrames` frames (holding their last landmarks) so a single
+ * dropped detection does not make a morph flicker off and on.
+ *
+ * Each track owns its own LandmarkStabilizer.
+ */
+
+class FaceTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxMatchDistance - Max center distance, in face sizes
+     * @param {number} options.maxMissedFrames - Frames a lost face is kept
+     * @param {Object} options.stabilizer - LandmarkStabilizer options for every track
+     */
+    constructor({ maxMatchDistance = 0.6, maxMissedFrames = 5, stabilizer = {} } = {}) {
+        this.maxMatchDistance = maxMatchDistance;
+        this.maxMissedFrames = maxMissedFrames;
+        this.stabilizerOptions = stabilizer;
+
+        this.tracks = [];   // Active tracks, oldest first
+        this.nextId = 1;    // Next face id to hand out
+    }
+
+    /**
+     * Center (mean of all points) and size (bounding box diagonal) of a face
+     * @param {number[][]} landmarks - Landmarks as [x, y] pixel pairs
+     */
+    measure(landmarks) {
+        let cx = 0, cy = 0;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of landmarks) {
+            cx += x; cy += y;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+        return {
+            center: [cx / landmarks.length, cy / landmarks.length],
+            size: Math.max(1, Math.hypot(maxX - minX, maxY - minY))
+        };
+    }
+
+    /**
+     * Match this frame's detections to tracks and update them
+     * @param {number[][][]} detections - One landmark array per detected face
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object[]} Tracks visible (or briefly held) this frame, oldest first.
+     *                     Each track: { id, landmarks, rawLandmarks, center, size, missed }
+     */
+    update(detections, timestamp) {
+        const measured = detections.map(landmarks => ({ landmarks, ...this.measure(landmarks) }));
+
+        // Candidate pairs sorted by relative distance
+        const pairs = [];
+        this.tracks.forEach((track, t) => {
+            measured.forEach((det, d) => {
+                const dist = Math.hypot(track.center[0] - det.center[0], track.center[1] - det.center[1]) / track.size;
+                if (dist <= this.maxMatchDistance) pairs.push({ t, d, dist });
+            });
+        });
+        pairs.sort((a, b) => a.dist - b.dist);
+
+        const trackMatched = new Array(this.tracks.length).fill(false);
+        const detMatched = new Array(measured.length).fill(false);
+
+        for (const { t, d } of pairs) {
+            if (trackMatched[t] || detMatched[d]) continue;
+            trackMatched[t] = detMatched[d] = true;
+            this.updateTrack(this.tracks[t], measured[d], timestamp);
+        }
+
+        // Lost tracks: hold last landmarks for a few frames, then drop
+        this.tracks.forEach((track, t) => {
+            if (!trackMatched[t]) track.missed++;
+        });
+        this.tracks = this.tracks.filter(track => track.missed <= this.maxMissedFrames);
+
+        // New faces
+        measured.forEach((det, d) => {
+            if (detMatched[d]) return;
+            const track = {
+                id: this.nextId++,
+                stabilizer: new LandmarkStabilizer(this.stabilizerOptions),
+                missed: 0
+            };
+            this.updateTrack(track, det, timestamp);
+            this.tracks.push(track);
+        });
+
+        return this.tracks;
+    }
+
+    /**
+     * Feed a matched detection into a track
+     */
+    updateTrack(track, det, timestamp) {
+        track.rawLandmarks = det.landmarks;
+        track.landmarks = track.stabilizer.filter(det.landmarks, timestamp);
+        track.center = det.center;
+        track.size = det.size;
+        track.missed = 0;
+    }
+
+    /**
+     * Find the tracked face under a point (e.g. a tap)
+     * @param {number} x - Frame x coordinate
+     * @param {number} y - Frame y coordinate
+     * @returns {Object|null} Closest track whose face contains the point
+     */
+    findTrackAt(x, y) {
+        let best = null, bestDist = Infinity;
+        for (const track of this.tracks) {
+            const dist = Math.hypot(track.center[0] - x, track.center[1] - y);
+            // Face size is a diagonal; half of it roughly covers the face
+            if (dist < track.size * 0.5 && dist < bestDist) {
+                best = track;
+                bestDist = dist;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Update stabilizer parameters for existing and future tracks
+     */
+    configureStabilizer(options) {
+        this.stabilizerOptions = options;
+        this.tracks.forEach(track => {
+            track.stabilizer.configure(options);
+            if (options.enabled === false) track.stabilizer.reset();
+        });
+    }
+
+    /**
+     * Drop all tracks (e.g. after flipping the camera)
+     */
+    reset() {
+        this.tracks = [];
+    }
+}
+
+// Export for use in app.js
+self.FaceTracker = FaceTracker;
@@ -0,0 +1,59 @@
+"""
+Download the face detection libraries and models listed in model-config.js
+into vendor/ and models/, so the web app runs without internet (kiosks)
+"""
+import os
+import re
+import sys
+import urllib.request
+
+# Paths
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+CONFIG_PATH = os.path.join(BASE_DIR, "model-config.js")
+
+def read_entries():
+    """(local, cdn, files) for every entry of MODEL_CONFIG"""
+    with open(CONFIG_PATH, encoding="utf-8") as f:
+        text = f.read()
+
+    entries = []
+    for block in re.findall(r"\{[^{}]*local:[^{}]*\}", text):
+        local = re.search(r"local:\s*'([^']+)'", block).group(1)
+        cdn = re.search(r"cdn:\s*'([^']+)'", block).group(1)
+        files_list = re.search(r"files:\s*\[([^\]]*)\]", block).group(1)
+        files = re.findall(r"'([^']+)'", files_list)
+        entries.append((local, cdn, files))
+    return entries
+
+def fetch_models(force=False):
+    """Download every missing file (all of them with force=True)"""
+    downloaded = 0
+    failed = 0
+
+    for local, cdn, files in read_entries():
+        target_dir = os.path.join(BASE_DIR, local)
+        os.makedirs(target_dir, exist_ok=True)
+
+        for filename in files:
+            target = os.path.join(target_dir, filename)
+            if os.path.exists(target) and not force:
+                print(f"Present: {local}{filename}")
+                continue
+
+            try:
+                with urllib.request.urlopen(cdn + filename, timeout=60) as response:
+                    data = response.read()
+                with open(target, "wb") as f:
+                    f.write(data)
+                downloaded += 1
+                print(f"Downloaded: {local}{filename} ({len(data) // 1024} KB)")
+            except Exception as e:
+                failed += 1
+                print(f"Error downloading {cdn}{filename}: {e}")
+
+    print(f"\nTotal downloaded: {downloaded} files, {failed} failed")
+    return failed == 0
+
+if __name__ == "__main__":
+    ok = fetch_models(force="--force" in sys.argv)
+    sys.exit(0 if ok else 1)
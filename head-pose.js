@@ -0,0 +1,285 @@
+/**
+ * ============================================================================
+ * HEAD POSE ESTIMATOR - 3D head orientation from 2D face landmarks
+ * ============================================================================
+ *
+ * Fits the camera landmarks to MediaPipe's canonical 3D face model and
+ * returns yaw, pitch, roll, translation and a confidence value. Addons use
+ * the pose to stay on the head when it turns or tilts; anything else that
+ * needs to know where the face points (morph fade-out, debug overlays) can
+ * use the same estimate.
+ *
+ * CAMERA MODEL:
+ * -------------
+ * Weak perspective (scaled orthographic): the face is small compared to its
+ * distance from the camera, so every model point P projects as
+ *
+ *     p = s * R2 * P + t
+ *
+ * where R2 is the top two rows of the head rotation, s the scale in pixels
+ * per model unit (cm) and t the image position of the model origin.
+ *
+ * SOLVER:
+ * -------
+ * 1. Least-squares affine fit A (2x3) from centered model points to
+ *    centered image points
+ * 2. Closest scaled rotation: R2 = (A Aᵀ)^-1/2 A, s = mean singular value
+ * 3. Third row of the rotation: r3 = r1 × r2
+ * 4. Confidence from the RMS reprojection error (in cm on the face)
+ *
+ * CONVENTIONS:
+ * ------------
+ * - yaw:   radians, positive when the face turns towards image right
+ * - pitch: radians, positive when the user looks up
+ * - roll:  radians, screen rotation of the eye line (clockwise positive,
+ *          i.e. ready for ctx.rotate())
+ *
+ * Mirrored landmarks (front camera selfie view) are detected from the fit
+ * and solved against a mirrored model, so the angles above always describe
+ * the head as it appears on screen. The pose reports this as `mirrored`.
+ *
+ * The model coordinates below are a subset of canonical_face_model.obj from
+ * MediaPipe (Apache 2.0): centimetres, X towards image right (the subject's
+ * left), Y up, Z towards the camera.
+ */
+
+// Landmark index → canonical model point [x, y, z]
+const HEAD_POSE_MODEL_POINTS = {
+    // Forehead and brows
+    10: [0, 8.262, 4.482], 151: [0, 6.545, 5.027], 9: [0, 4.886, 5.385],
+    108: [-1.619, 6.599, 4.921], 337: [1.619, 6.599, 4.921],
+    21: [-7.088, 5.435, 0.1], 251: [7.088, 5.435, 0.1],
+    // Eye corners
+    33: [-4.446, 2.664, 3.173], 133: [-1.856, 2.585, 3.758],
+    263: [4.446, 2.664, 3.173], 362: [1.856, 2.585, 3.758],
+    // Nose bridge and tip
+    168: [0, 3.271, 5.236], 6: [0, 2.473, 5.789], 197: [0, 1.728, 6.317],
+    195: [0, 1.059, 6.775], 5: [0, 0.366, 7.243], 4: [0, -0.463, 7.587],
+    1: [0, -1.127, 7.476], 98: [-1.406, -1.714, 5.241], 327: [1.406, -1.714, 5.241],
+    // Cheeks and face sides
+    234: [-7.664, 0.673, -2.436], 454: [7.664, 0.673, -2.436],
+    93: [-7.542, -1.049, -2.431], 323: [7.542, -1.049, -2.431],
+    127: [-7.743, 2.365, -2.005], 356: [7.743, 2.365, -2.005],
+    116: [-6.465, 0.937, 1.69], 345: [6.465, 0.937, 1.69],
+    50: [-4.766, -0.702, 3.535], 280: [4.766, -0.702, 3.535],
+    // Mouth corners
+    61: [-2.456, -4.343, 4.284], 291: [2.456, -4.343, 4.284],
+    // Chin and jaw
+    152: [0, -9.403, 4.264], 175: [0, -8.765, 4.891], 199: [0, -7.942, 5.181],
+    148: [-1.293, -9.296, 4.094], 377: [1.293, -9.296, 4.094],
+    172: [-5.941, -6.224, -0.631], 397: [5.941, -6.224, -0.631],
+    136: [-5.085, -7.179, 0.715], 365: [5.085, -7.179, 0.715]
+};
+
+class HeadPoseEstimator {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxErrorCm - RMS reprojection error (cm) at which confidence reaches 0
+     */
+    constructor({ maxErrorCm = 1.5 } = {}) {
+        this.maxErrorCm = maxErrorCm;
+
+        this.indices = Object.keys(HEAD_POSE_MODEL_POINTS).map(Number);
+        this.modelPoints = this.indices.map(i => HEAD_POSE_MODEL_POINTS[i]);
+    }
+
+    /**
+     * Estimate the head pose of one face
+     * @param {number[][]} landmarks - Landmarks as [x, y] pixel pairs
+     * @param {number} width - Frame width (used as the focal length for z)
+     * @returns {Object|null} { yaw, pitch, roll, rotation, scale, translation: { x, y, z },
+     *                          confidence, mirrored }, or null if too few landmarks
+     */
+    estimate(landmarks, width) {
+        if (!landmarks) return null;
+
+        // Image points flipped to y-up so they share the model's handedness
+        const model = [];
+        const image = [];
+        this.indices.forEach((index, k) => {
+            const p = landmarks[index];
+            if (!p) return;
+            model.push(this.modelPoints[k]);
+            image.push([p[0], -p[1]]);
+        });
+        const n = model.length;
+        if (n < 6) return null;
+
+        // ====================================================================
+        // STEP 1: CENTER BOTH POINT SETS
+        // ====================================================================
+        const mc = [0, 0, 0];
+        const ic = [0, 0];
+        for (let i = 0; i < n; i++) {
+            mc[0] += model[i][0]; mc[1] += model[i][1]; mc[2] += model[i][2];
+            ic[0] += image[i][0]; ic[1] += image[i][1];
+        }
+        mc[0] /= n; mc[1] /= n; mc[2] /= n;
+        ic[0] /= n; ic[1] /= n;
+
+        // ====================================================================
+        // STEP 2: LEAST-SQUARES AFFINE FIT  A = (Σ p Xᵀ)(Σ X Xᵀ)^-1
+        // ====================================================================
+        const xx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const px = [[0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < n; i++) {
+            const X = [model[i][0] - mc[0], model[i][1] - mc[1], model[i][2] - mc[2]];
+            const P = [image[i][0] - ic[0], image[i][1] - ic[1]];
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) xx[r][c] += X[r] * X[c];
+            }
+            for (let r = 0; r < 2; r++) {
+                for (let c = 0; c < 3; c++) px[r][c] += P[r] * X[c];
+            }
+        }
+        const xxInv = this.invert3(xx);
+        if (!xxInv) return null;
+        const A = px.map(row => [0, 1, 2].map(c =>
+            row[0] * xxInv[0][c] + row[1] * xxInv[1][c] + row[2] * xxInv[2][c]
+        ));
+
+        // A mirror image flips the handedness of the X/Y fit. Mirror the
+        // model instead (negating X negates the first column of A).
+        const mirrored = A[0][0] * A[1][1] - A[0][1] * A[1][0] < 0;
+        if (mirrored) {
+            for (let i = 0; i < n; i++) model[i] = [-model[i][0], model[i][1], model[i][2]];
+            mc[0] = -mc[0];
+            A[0][0] = -A[0][0];
+            A[1][0] = -A[1][0];
+        }
+
+        // ====================================================================
+        // STEP 3: CLOSEST SCALED ROTATION  R2 = (A Aᵀ)^-1/2 A
+        // ====================================================================
+        // Square root of the symmetric 2x2 matrix M = A Aᵀ:
+        //   sqrt(M) = (M + sqrt(det M) I) / sqrt(trace M + 2 sqrt(det M))
+        const m00 = this.dot(A[0], A[0]);
+        const m01 = this.dot(A[0], A[1]);
+        const m11 = this.dot(A[1], A[1]);
+        const rootDet = Math.sqrt(Math.max(0, m00 * m11 - m01 * m01));
+        const norm = Math.sqrt(m00 + m11 + 2 * rootDet);
+        if (norm < 1e-9 || rootDet < 1e-9) return null;
+
+        const s00 = (m00 + rootDet) / norm;
+        const s01 = m01 / norm;
+        const s11 = (m11 + rootDet) / norm;
+        const sDet = s00 * s11 - s01 * s01;
+
+        // Singular values of A are the eigenvalues of sqrt(M)
+        const scale = (s00 + s11) / 2;
+
+        const r1 = [0, 1, 2].map(c => (s11 * A[0][c] - s01 * A[1][c]) / sDet);
+        const r2 = [0, 1, 2].map(c => (s00 * A[1][c] - s01 * A[0][c]) / sDet);
+        const r3 = [
+            r1[1] * r2[2] - r1[2] * r2[1],
+            r1[2] * r2[0] - r1[0] * r2[2],
+            r1[0] * r2[1] - r1[1] * r2[0]
+        ];
+        const rotation = [r1, r2, r3];
+
+        // ====================================================================
+        // STEP 4: ANGLES
+        // ====================================================================
+        // Decomposed as R = Rz(roll) · Rx(pitch) · Ry(yaw), so yaw and pitch
+        // are measured in the head's own frame and do not change with roll
+        const yaw = Math.atan2(-r3[0], r3[2]);
+        const pitch = Math.asin(Math.max(-1, Math.min(1, -r3[1])));
+        const roll = Math.atan2(r1[1], r2[1]);
+
+        // ====================================================================
+        // STEP 5: TRANSLATION AND CONFIDENCE
+        // ====================================================================
+        // Model origin in image coordinates (y-up)
+        const tx = ic[0] - scale * this.dot(r1, mc);
+        const ty = ic[1] - scale * this.dot(r2, mc);
+
+        let errorSq = 0;
+        for (let i = 0; i < n; i++) {
+            const dx = scale * this.dot(r1, model[i]) + tx - image[i][0];
+            const dy = scale * this.dot(r2, model[i]) + ty - image[i][1];
+            errorSq += dx * dx + dy * dy;
+        }
+        const rmsCm = Math.sqrt(errorSq / n) / scale;
+        const confidence = Math.max(0, Math.min(1, 1 - rmsCm / this.maxErrorCm));
+
+        return {
+            yaw,
+            pitch,
+            roll,
+            rotation,
+            scale,
+            translation: {
+                x: tx,
+                y: -ty,
+                // Distance in cm, taking the frame width as the focal length
+                z: width / scale
+            },
+            confidence,
+            mirrored
+        };
+    }
+
+    /**
+     * Project a point given in canonical model coordinates into the image
+     * @param {number[]} point - Model point [x, y, z] in cm
+     * @param {Object} pose - Result of estimate()
+     * @returns {number[]} Image point [x, y] in pixels
+     */
+    project(point, pose) {
+        const [r1, r2] = pose.rotation;
+        if (pose.mirrored) point = [-point[0], point[1], point[2]];
+        return [
+            pose.translation.x + pose.scale * this.dot(r1, point),
+            pose.translation.y - pose.scale * this.dot(r2, point)
+        ];
+    }
+
+    /**
+     * Draw the head's axes (X red, Y green, Z blue) for debugging
+     * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+     * @param {Object} pose - Result of estimate()
+     * @param {number} length - Axis length in cm
+     */
+    drawAxes(ctx, pose, length = 8) {
+        const origin = this.project([0, 0, 0], pose);
+        const axes = [
+            [[length, 0, 0], '#ff3b30'],
+            [[0, length, 0], '#34c759'],
+            [[0, 0, length], '#007aff']
+        ];
+
+        ctx.save();
+        ctx.lineWidth = 3;
+        for (const [point, color] of axes) {
+            const end = this.project(point, pose);
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(origin[0], origin[1]);
+            ctx.lineTo(end[0], end[1]);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    /**
+     * Inverse of a 3x3 matrix, or null if it is singular
+     */
+    invert3(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        if (Math.abs(det) < 1e-12) return null;
+        return [
+            [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
+    }
+}
+
+// Export for use in app.js
+self.HeadPoseEstimator = HeadPoseEstimator;
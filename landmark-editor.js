@@ -17,15 +17,8 @@ class LandmarkEditor {
             { name: 'Right Cheek', color: '#1abc9c', index: 454 }
         ];
 
-        // Animals available for editing
-        this.animals = [
-            { name: 'Tiger', image: 'assets/animals/Tiger.jpeg' },
-            { name: 'Dog', image: 'assets/animals/Dog_sym.png' },
-            { name: 'Batrik', image: 'assets/animals/Batrik_sym.png' },
-            { name: 'Chimp', image: 'assets/animals/Chimp_sym.png' },
-            { name: 'Sloth', image: 'assets/animals/Sloth.png' },
-            { name: 'Panda', image: 'assets/animals/Panda.png' }
-        ];
+        // Animals available for editing: catalog.json entries, see loadAnimals()
+        this.animals = [];
 
         this.canvas = document.getElementById('editorCanvas');
         this.ctx = this.canvas.getContext('2d');
@@ -38,11 +31,25 @@ class LandmarkEditor {
         this.init();
     }
 
-    init() {
-        this.renderAnimalList();
+    async init() {
         this.renderLandmarkList();
         this.setupEventListeners();
-        this.updateStatus('Select an animal to start');
+        this.animals = await this.loadAnimals();
+        this.renderAnimalList();
+        if (this.animals.length > 0) this.updateStatus('Select an animal to start');
+    }
+
+    /**
+     * Animals of catalog.json, the entries still waiting for landmarks first
+     */
+    async loadAnimals() {
+        try {
+            const { assets, pending } = await new TargetCatalog().load();
+            return [...pending, ...(assets.animals || [])];
+        } catch (error) {
+            this.updateStatus(error.message);
+            return [];
+        }
     }
 
     renderAnimalList() {
@@ -335,13 +342,18 @@ class LandmarkEditor {
         const landmarks = this.interpolateLandmarks();
         if (!landmarks) return;
 
-        // Save to assets/landmarks/animals/
-        const filename = this.currentAnimal.name + '.json';
+        // Save to assets/landmarks/animals/, named like the image
+        const animal = this.currentAnimal;
+        const path = animal.landmarks ||
+            'assets/landmarks/animals/' + animal.image.split('/').pop().replace(/\.[^.]+$/, '') + '.json';
+        const filename = path.split('/').pop();
         const jsonStr = JSON.stringify(landmarks);
 
         // For now, download it (in a real app, we'd POST to server)
         this.downloadFile(filename, jsonStr);
-        this.updateStatus(`Saved ${filename}! Copy it to assets/landmarks/animals/`);
+        this.updateStatus(animal.landmarks
+            ? `Saved ${filename}! Copy it to ${path}`
+            : `Saved ${filename}! Copy it to ${path} and set it as "landmarks" of "${animal.id}" in catalog.json`);
     }
 
     downloadJSON() {
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * LANDMARK STABILIZER - Temporal smoothing for camera landmarks
+ * ============================================================================
+ *
+ * MediaPipe landmarks jitter by a pixel or two from frame to frame even when
+ * the user holds perfectly still. Because the morph and addons are drawn
+ * from these landmarks, that jitter shows up as a shimmering face.
+ *
+ * ONE-EURO FILTER:
+ * ----------------
+ * Each landmark coordinate gets its own One-Euro filter, an adaptive
+ * low-pass filter whose cutoff frequency rises with speed:
+ *
+ *     cutoff = minCutoff + beta * |speed|
+ *
+ * - Holding still  → low cutoff  → strong smoothing (no jitter)
+ * - Moving quickly → high cutoff → little smoothing (no lag)
+ *
+ * PARAMETERS:
+ * -----------
+ * - minCutoff (Hz): smoothing when still. Lower = smoother, more lag.
+ * - beta: how fast the cutoff rises with speed (speed is in pixels/second).
+ *   Higher = less lag when moving.
+ * - dCutoff (Hz): smoothing applied to the speed estimate itself.
+ *
+ * @see https://gery.casiez.net/1euro/
+ */
+
+class LandmarkStabilizer {
+    /**
+     * @param {Object} options - Filter parameters (see header)
+     * @param {boolean} options.enabled - False passes landmarks through unchanged
+     * @param {number} options.minCutoff - Minimum cutoff frequency in Hz
+     * @param {number} options.beta - Speed coefficient
+     * @param {number} options.dCutoff - Cutoff frequency for the speed estimate in Hz
+     */
+    constructor(options = {}) {
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * Update filter parameters (takes effect on the next frame)
+     */
+    configure({ enabled = true, minCutoff = 1.0, beta = 0.01, dCutoff = 1.0 } = {}) {
+        this.enabled = enabled;
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+    }
+
+    /**
+     * Forget all history (call when the face is lost or the camera changes)
+     */
+    reset() {
+        this.values = null;       // Float64Array of last filtered [x, y] per landmark
+        this.speeds = null;       // Float64Array of last filtered speed per coordinate
+        this.lastTime = null;     // Timestamp (ms) of the last frame
+    }
+
+    /**
+     * Smoothing factor of an exponential low-pass filter
+     * @param {number} cutoff - Cutoff frequency in Hz
+     * @param {number} dt - Time step in seconds
+     */
+    smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Filter one frame of landmarks
+     * @param {number[][]} landmarks - Raw landmarks as [x, y] pixel pairs
+     * @param {number} timestamp - Frame time in milliseconds (e.g. performance.now())
+     * @returns {number[][]} Stabilized landmarks (new arrays; input is not modified)
+     */
+    filter(landmarks, timestamp) {
+        if (!this.enabled) return landmarks;
+
+        const count = landmarks.length * 2;
+
+        // First frame (or landmark count changed): start from the raw values
+        if (!this.values || this.values.length !== count || this.lastTime === null) {
+            this.values = new Float64Array(count);
+            this.speeds = new Float64Array(count);
+            landmarks.forEach((p, i) => {
+                this.values[i * 2] = p[0];
+                this.values[i * 2 + 1] = p[1];
+            });
+            this.lastTime = timestamp;
+            return landmarks.map(p => [p[0], p[1]]);
+        }
+
+        // Guard against duplicate / out-of-order timestamps
+        const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+        this.lastTime = timestamp;
+
+        const alphaD = this.smoothingFactor(this.dCutoff, dt);
+        const result = new Array(landmarks.length);
+
+        for (let i = 0; i < landmarks.length; i++) {
+            const point = [0, 0];
+            for (let axis = 0; axis < 2; axis++) {
+                const k = i * 2 + axis;
+                const raw = landmarks[i][axis];
+                const prev = this.values[k];
+
+                // Filtered speed estimate
+                const speed = (raw - prev) / dt;
+                this.speeds[k] += alphaD * (speed - this.speeds[k]);
+
+                // Adaptive cutoff: smooth when slow, responsive when fast
+                const cutoff = this.minCutoff + this.beta * Math.abs(this.speeds[k]);
+                const alpha = this.smoothingFactor(cutoff, dt);
+
+                this.values[k] = prev + alpha * (raw - prev);
+                point[axis] = this.values[k];
+            }
+            result[i] = point;
+        }
+
+        return result;
+    }
+}
+
+// Export for use in app.js
+self.LandmarkStabilizer = LandmarkStabilizer;
@@ -0,0 +1,105 @@
+/**
+ * ============================================================================
+ * MEAN FACE - Reference face shape for the 468 FaceMesh points
+ * ============================================================================
+ *
+ * Caricature mode exaggerates how a face differs from an average face, so it
+ * needs that average: the generalized Procrustes mean of the human targets'
+ * landmarks (celebs, history and races, 30 faces), in a normalized frame:
+ *
+ * - Centroid of all 468 points at the origin
+ * - Outer eye corners (33 → 263) along +x, interocular distance 1
+ * - y grows downwards (image convention), unmirrored: landmark 33, the
+ *   subject's right eye, is on the left
+ *
+ * The targets are frontal photos, so this is a frontal face; see
+ * MorphEngine.caricatureLandmarks() for how head pose is accounted for.
+ *
+ * Regenerate after changing the bundled targets (each face: normalize as
+ * above, then repeatedly align all faces to their mean with a similarity
+ * transform and renormalize the mean).
+ */
+
+const MEAN_FACE_LANDMARKS = [
+    [-0.0019, 0.3012], [-0.0063, 0.0885], [-0.0038, 0.1524], [-0.0634, -0.1532], [-0.0063, 0.0139], [-0.0069, -0.0829],
+    [-0.0039, -0.3179], [-0.4755, -0.3438], [-0.0045, -0.4895], [-0.0051, -0.5845], [-0.0038, -0.9491], [-0.0011, 0.3249],
+    [-0.0009, 0.3488], [0.0003, 0.3651], [0.0002, 0.4377], [-0.0003, 0.4673], [-0.0004, 0.5035], [0.0014, 0.543],
+    [0.0014, 0.6072], [-0.0057, 0.1267], [-0.0724, 0.1221], [-0.726, -0.6179], [-0.2851, -0.2876], [-0.3531, -0.2803],
+    [-0.4186, -0.2823], [-0.5034, -0.3214], [-0.2292, -0.3021], [-0.3923, -0.4797], [-0.3134, -0.4732], [-0.4628, -0.4671],
+    [-0.5072, -0.4389], [-0.5598, -0.2793], [-0.2537, 0.7099], [-0.5004, -0.3621], [-0.753, -0.3045], [-0.6341, -0.3282],
+    [-0.3517, 0.0068], [-0.0992, 0.2849], [-0.0897, 0.3439], [-0.1912, 0.3024], [-0.2512, 0.3213], [-0.1646, 0.3433],
+    [-0.2199, 0.3474], [-0.3307, 0.4398], [-0.0629, 0.0867], [-0.072, 0.0135], [-0.6015, -0.4974], [-0.2059, -0.1658],
+    [-0.2245, 0.0523], [-0.2298, 0.0128], [-0.5586, -0.0075], [-0.0681, -0.0759], [-0.4466, -0.5682], [-0.5395, -0.5451],
+    [-0.6625, -0.7445], [-0.1484, -0.5054], [-0.246, -0.4432], [-0.3873, 0.3621], [-0.6779, 0.3738], [-0.1752, 0.0966],
+    [-0.1203, 0.1191], [-0.3236, 0.3582], [-0.3036, 0.3599], [-0.5763, -0.5899], [-0.23, 0.08], [-0.3194, -0.5605],
+    [-0.3326, -0.6165], [-0.3934, -0.9121], [-0.6143, -0.6695], [-0.3514, -0.7716], [-0.6408, -0.5299], [-0.6822, -0.5686],
+    [-0.096, 0.3174], [-0.1779, 0.324], [-0.2373, 0.3345], [-0.1601, 0.1081], [-0.3135, 0.3587], [-0.2774, 0.3977],
+    [-0.2952, 0.361], [-0.1392, 0.0814], [-0.2065, 0.3555], [-0.1508, 0.3557], [-0.0818, 0.3601], [-0.0987, 0.6011],
+    [-0.0974, 0.5342], [-0.0942, 0.4939], [-0.0888, 0.4583], [-0.0791, 0.4322], [-0.2049, 0.4035], [-0.2185, 0.4164],
+    [-0.2354, 0.4321], [-0.2471, 0.4541], [-0.31, 0.2533], [-0.7515, 0.0134], [-0.0048, 0.1404], [-0.2452, 0.3871],
+    [-0.2618, 0.3903], [-0.0974, 0.1452], [-0.2099, 0.1183], [-0.1072, 0.1327], [-0.2797, -0.1296], [-0.394, -0.0852],
+    [-0.243, 0.0413], [-0.5565, -0.8458], [-0.5085, -0.7403], [-0.4709, -0.6228], [-0.2703, 0.5036], [-0.171, -0.5974],
+    [-0.1901, -0.7767], [-0.2161, -0.9433], [-0.4722, -0.2962], [-0.6314, -0.2327], [-0.1917, -0.3172], [-0.5703, -0.4082],
+    [-0.1569, -0.21], [-0.1827, 0.0339], [-0.7071, -0.1744], [-0.5857, -0.1837], [-0.5004, -0.1579], [-0.371, -0.1677],
+    [-0.2757, -0.1949], [-0.2066, -0.224], [-0.068, -0.3007], [-0.7032, -0.0287], [-0.6231, -0.4189], [-0.041, 0.1236],
+    [-0.2044, -0.096], [-0.768, -0.3112], [-0.1533, -0.2586], [-0.2487, 0.0424], [-0.5299, -0.3608], [-0.1839, -0.0161],
+    [-0.7256, 0.1898], [-0.193, -0.3407], [-0.1263, -0.0524], [-0.5416, 0.5379], [-0.5283, 0.6274], [-0.7553, -0.0017],
+    [-0.6278, 0.4427], [-0.7196, -0.447], [-0.2631, 0.7863], [-0.034, 0.1377], [-0.2679, -0.0473], [-0.6883, -0.3174],
+    [-0.4118, -0.3223], [-0.3544, -0.3188], [-0.2902, 0.406], [-0.6936, 0.1176], [-0.1368, 0.8896], [-0.3383, 0.7902],
+    [-0.4256, 0.7229], [-0.0051, -0.7735], [0.0045, 0.9036], [-0.2978, -0.3247], [-0.2443, -0.3338], [-0.2078, -0.3373],
+    [-0.6692, -0.4374], [-0.2562, -0.3909], [-0.3167, -0.4129], [-0.3745, -0.4152], [-0.4324, -0.4044], [-0.4663, -0.3869],
+    [-0.7583, -0.4803], [-0.4486, -0.3322], [-0.0033, 0.2041], [-0.2384, 0.2172], [-0.1748, 0.0873], [-0.104, 0.2039],
+    [-0.0033, -0.4046], [-0.4459, 0.6347], [-0.357, 0.7112], [-0.1422, 0.8388], [-0.6091, 0.5193], [-0.2131, -0.3617],
+    [-0.1133, -0.1879], [0.0029, 0.8518], [-0.2461, 0.8486], [-0.7338, 0.1581], [-0.1484, 0.4196], [-0.1624, 0.44],
+    [-0.1737, 0.4673], [-0.1808, 0.5024], [-0.1955, 0.5613], [-0.2669, 0.3531], [-0.2837, 0.346], [-0.2947, 0.3386],
+    [-0.3645, 0.2998], [-0.6132, 0.1515], [-0.1108, -0.2589], [-0.1457, -0.3944], [-0.1865, -0.3871], [-0.2518, 0.3572],
+    [-0.6129, 0.331], [-0.0882, -0.3953], [-0.2263, 0.6324], [-0.0055, -0.1641], [-0.0656, -0.2229], [-0.0047, -0.2376],
+    [-0.1636, -0.0776], [0.0021, 0.7779], [0.0017, 0.6856], [-0.1162, 0.678], [-0.3824, 0.4777], [-0.3058, 0.0982],
+    [-0.3119, 0.5656], [-0.4663, 0.0892], [-0.3727, 0.1685], [-0.523, 0.2028], [-0.1354, 0.7661], [-0.2067, -0.0416],
+    [-0.4327, 0.544], [-0.3428, 0.6318], [-0.4429, 0.3806], [-0.6742, 0.2432], [-0.5241, 0.4047], [-0.6965, 0.3073],
+    [-0.4283, 0.2525], [-0.1564, -0.1425], [-0.1613, 0.0688], [-0.2054, 0.0788], [-0.1305, 0.023], [-0.2025, -0.4582],
+    [-0.3147, -0.5032], [-0.4133, -0.5118], [-0.4937, -0.4958], [-0.5472, -0.4626], [-0.5747, -0.344], [-0.7637, -0.1544],
+    [-0.522, -0.2497], [-0.4545, -0.229], [-0.3643, -0.2286], [-0.2792, -0.2446], [-0.2144, -0.2659], [-0.1684, -0.2866],
+    [-0.7607, -0.1503], [-0.2049, 0.0945], [-0.1148, -0.1209], [-0.1118, 0.0771], [-0.0771, 0.1115], [-0.1126, 0.0873],
+    [-0.1874, 0.1128], [-0.0634, 0.1178], [-0.0571, 0.1324], [-0.1684, -0.3386], [-0.1348, -0.3229], [-0.1145, -0.3109],
+    [-0.4859, -0.3745], [-0.5348, -0.4056], [0.0527, -0.153], [0.4758, -0.3447], [0.0628, 0.122], [0.7271, -0.6181],
+    [0.2854, -0.2863], [0.3524, -0.282], [0.4172, -0.2837], [0.5044, -0.3204], [0.2285, -0.3017], [0.3892, -0.4797],
+    [0.3111, -0.4721], [0.462, -0.4658], [0.5062, -0.4377], [0.5602, -0.2779], [0.2593, 0.7111], [0.4996, -0.3621],
+    [0.762, -0.3042], [0.6358, -0.3267], [0.3505, 0.0064], [0.0958, 0.2852], [0.0897, 0.3451], [0.1915, 0.3034],
+    [0.2538, 0.3218], [0.1659, 0.3441], [0.2249, 0.3473], [0.3371, 0.4386], [0.0509, 0.0866], [0.0589, 0.0135],
+    [0.6013, -0.4962], [0.2032, -0.1671], [0.2187, 0.0533], [0.224, 0.0117], [0.5593, -0.0078], [0.0559, -0.0765],
+    [0.4407, -0.5675], [0.5359, -0.5458], [0.6601, -0.7453], [0.1395, -0.5028], [0.2418, -0.4427], [0.3918, 0.3607],
+    [0.6977, 0.3728], [0.17, 0.0948], [0.1135, 0.119], [0.3309, 0.3579], [0.3102, 0.3606], [0.572, -0.5924],
+    [0.2244, 0.0794], [0.3115, -0.5586], [0.3239, -0.6153], [0.388, -0.9129], [0.6124, -0.6702], [0.3447, -0.7717],
+    [0.6394, -0.5292], [0.6828, -0.5679], [0.0946, 0.3179], [0.1798, 0.3253], [0.2394, 0.3346], [0.1542, 0.1076],
+    [0.3203, 0.3591], [0.2825, 0.3972], [0.3021, 0.3615], [0.1315, 0.0809], [0.2112, 0.3557], [0.1534, 0.3559],
+    [0.0831, 0.3604], [0.101, 0.6005], [0.1004, 0.5334], [0.0968, 0.4952], [0.0895, 0.4582], [0.0808, 0.4322],
+    [0.2078, 0.4039], [0.2234, 0.4151], [0.2394, 0.4333], [0.2532, 0.4539], [0.3097, 0.2525], [0.7675, 0.0153],
+    [0.2503, 0.387], [0.2674, 0.3905], [0.0909, 0.146], [0.2051, 0.1192], [0.1006, 0.1338], [0.2762, -0.129],
+    [0.3935, -0.0853], [0.2385, 0.0406], [0.5533, -0.8462], [0.5043, -0.7405], [0.4635, -0.6235], [0.276, 0.5032],
+    [0.1624, -0.5935], [0.1809, -0.7777], [0.2088, -0.9446], [0.4729, -0.2958], [0.6321, -0.2309], [0.1919, -0.3158],
+    [0.5707, -0.4096], [0.153, -0.2104], [0.1738, 0.0329], [0.7121, -0.1749], [0.5879, -0.1826], [0.5019, -0.1572],
+    [0.3721, -0.1665], [0.2766, -0.1936], [0.2044, -0.2229], [0.0608, -0.3007], [0.7092, -0.0278], [0.6234, -0.4191],
+    [0.0298, 0.124], [0.2004, -0.097], [0.7798, -0.3112], [0.1507, -0.2587], [0.2459, 0.0429], [0.531, -0.3595],
+    [0.1755, -0.0162], [0.7449, 0.1896], [0.1907, -0.3394], [0.1159, -0.0536], [0.5544, 0.5389], [0.5465, 0.6273],
+    [0.7663, -0.0014], [0.6416, 0.4434], [0.7243, -0.4467], [0.2707, 0.7869], [0.0241, 0.137], [0.2648, -0.0475],
+    [0.6906, -0.316], [0.4101, -0.3234], [0.3531, -0.3195], [0.2982, 0.406], [0.7033, 0.1186], [0.146, 0.8896],
+    [0.3511, 0.7896], [0.4412, 0.7233], [0.2973, -0.3232], [0.2441, -0.3323], [0.209, -0.3356], [0.6691, -0.4371],
+    [0.2553, -0.3908], [0.3148, -0.4109], [0.3736, -0.414], [0.4306, -0.4039], [0.4662, -0.3869], [0.764, -0.4804],
+    [0.4484, -0.3332], [0.2368, 0.2166], [0.1677, 0.0874], [0.0998, 0.2034], [0.4583, 0.6351], [0.368, 0.712],
+    [0.1488, 0.8392], [0.6273, 0.5196], [0.2122, -0.36], [0.1051, -0.1888], [0.2562, 0.8485], [0.7462, 0.1602],
+    [0.1505, 0.4186], [0.1645, 0.4395], [0.1784, 0.4679], [0.1862, 0.5023], [0.1994, 0.5604], [0.2732, 0.352],
+    [0.2874, 0.346], [0.2998, 0.3388], [0.3657, 0.2987], [0.6177, 0.1518], [0.1049, -0.2606], [0.1424, -0.3933],
+    [0.1851, -0.3846], [0.2578, 0.3566], [0.6223, 0.3301], [0.0829, -0.3939], [0.2319, 0.6324], [0.0571, -0.2237],
+    [0.1564, -0.0779], [0.1203, 0.6791], [0.3886, 0.4775], [0.3043, 0.098], [0.3177, 0.5649], [0.4669, 0.0888],
+    [0.3716, 0.1678], [0.5273, 0.2024], [0.1403, 0.7662], [0.2007, -0.0421], [0.4417, 0.5438], [0.3514, 0.6326],
+    [0.4486, 0.3803], [0.6851, 0.2449], [0.5331, 0.4056], [0.7092, 0.3084], [0.431, 0.2518], [0.151, -0.1434],
+    [0.1513, 0.0679], [0.1978, 0.0795], [0.119, 0.0214], [0.1964, -0.4557], [0.3092, -0.5019], [0.4095, -0.51],
+    [0.4913, -0.4948], [0.5458, -0.4629], [0.574, -0.3434], [0.7721, -0.1536], [0.5242, -0.2479], [0.4546, -0.2285],
+    [0.3643, -0.2282], [0.2787, -0.2435], [0.2135, -0.2649], [0.1686, -0.2859], [0.7762, -0.15], [0.1992, 0.0938],
+    [0.1056, -0.1227], [0.1024, 0.0763], [0.0678, 0.1111], [0.1026, 0.0875], [0.1821, 0.1122], [0.053, 0.1177],
+    [0.0457, 0.1316], [0.1683, -0.3366], [0.1334, -0.3219], [0.1109, -0.3098], [0.4862, -0.3741], [0.5342, -0.4052]
+];
+
+// Export for use in morph-engine.js (window and worker)
+self.MEAN_FACE_LANDMARKS = MEAN_FACE_LANDMARKS;
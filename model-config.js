@@ -0,0 +1,68 @@
+/**
+ * ============================================================================
+ * MODEL CONFIG - Where the face detection libraries and models come from
+ * ============================================================================
+ *
+ * Every library script, wasm binary and model file is looked up in the
+ * local `vendor/` and `models/` directories first, so the app runs without
+ * internet (kiosk deployments). The CDN is only tried if the local copy is
+ * missing and `cdnFallback` is on.
+ *
+ * Fill the local directories with `python fetch_models.py` (downloads the
+ * files listed here from the CDN). Kiosks set `cdnFallback: false`.
+ *
+ * ENTRIES:
+ * --------
+ * - local / cdn: base URLs (with trailing slash) of the same file set
+ * - script:      library entry point, loaded as a classic <script>
+ * - global:      global the script defines (skip loading if it exists)
+ * - files:       everything the library or model fetches by itself
+ *                (MediaPipe locateFile, face-api weight manifests);
+ *                used by fetch_models.py and to probe the local copy
+ */
+
+const MODEL_CONFIG = {
+    cdnFallback: true,
+
+    // MediaPipe Face Mesh: script, wasm (SIMD and plain) and the packed model
+    faceMesh: {
+        local: 'vendor/mediapipe/face_mesh/',
+        cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/',
+        script: 'face_mesh.js',
+        global: 'FaceMesh',
+        files: [
+            'face_mesh.js',
+            'face_mesh.binarypb',
+            'face_mesh_solution_packed_assets_loader.js',
+            'face_mesh_solution_packed_assets.data',
+            'face_mesh_solution_simd_wasm_bin.js',
+            'face_mesh_solution_simd_wasm_bin.wasm',
+            'face_mesh_solution_wasm_bin.js',
+            'face_mesh_solution_wasm_bin.wasm'
+        ]
+    },
+
+    // face-api.js library (gender / age scan)
+    faceApi: {
+        local: 'vendor/face-api/',
+        cdn: 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/',
+        script: 'face-api.min.js',
+        global: 'faceapi',
+        files: ['face-api.min.js']
+    },
+
+    // face-api.js weights: tinyFaceDetector and ageGenderNet
+    faceApiModels: {
+        local: 'models/face-api/',
+        cdn: 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model/',
+        files: [
+            'tiny_face_detector_model-weights_manifest.json',
+            'tiny_face_detector_model.bin',
+            'age_gender_model-weights_manifest.json',
+            'age_gender_model.bin'
+        ]
+    }
+};
+
+// Export for use in model-loader.js and app.js
+self.MODEL_CONFIG = MODEL_CONFIG;
@@ -0,0 +1,111 @@
+/**
+ * ============================================================================
+ * MODEL LOADER - Local-first loading of libraries and model files
+ * ============================================================================
+ *
+ * Resolves every entry of MODEL_CONFIG (model-config.js) against its
+ * sources in order: the local copy, then the CDN if `cdnFallback` is on.
+ *
+ * - Scripts: injected as <script> tags; a script that fails to load
+ *   (404, offline) moves on to the next source
+ * - Files fetched by a library itself (MediaPipe wasm, face-api weights):
+ *   the first source that has the entry's first listed file wins, so a
+ *   library never mixes a local model with a CDN binary
+ */
+
+class ModelLoader {
+    /**
+     * @param {Object} config - Model configuration (default: MODEL_CONFIG)
+     */
+    constructor(config = self.MODEL_CONFIG) {
+        this.config = config;
+    }
+
+    /**
+     * Base URLs to try for an entry, in order
+     * @param {string} name - Entry name in the config (e.g. 'faceMesh')
+     * @param {string} from - Start at this base (skip the ones before it)
+     * @returns {string[]} Base URLs
+     */
+    sources(name, from = null) {
+        const entry = this.config[name];
+        if (!entry) throw new Error(`Unknown model entry: ${name}`);
+
+        const bases = [entry.local];
+        if (this.config.cdnFallback && entry.cdn) bases.push(entry.cdn);
+        const start = from ? bases.indexOf(from) : 0;
+        return bases.slice(Math.max(0, start));
+    }
+
+    /**
+     * Load an entry's script from the first source that has it
+     * @param {string} name - Entry name in the config
+     * @returns {Promise<string|null>} Base URL it was loaded from
+     *                                 (null if its global already existed)
+     */
+    async loadScript(name) {
+        const entry = this.config[name];
+        if (entry.global && typeof self[entry.global] !== 'undefined') return null;
+
+        let lastError = null;
+        for (const base of this.sources(name)) {
+            try {
+                await this.injectScript(base + entry.script, base !== entry.local);
+                console.log(`[ModelLoader] ${name} from ${base}`);
+                return base;
+            } catch (error) {
+                console.warn(`[ModelLoader] ${name} not available from ${base}`);
+                lastError = error;
+            }
+        }
+        throw lastError || new Error(`No source for ${name}`);
+    }
+
+    /**
+     * Add a <script> tag and wait for it to load
+     * @param {string} src - Script URL
+     * @param {boolean} crossOrigin - Request it with CORS (CDN scripts)
+     */
+    injectScript(src, crossOrigin) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            if (crossOrigin) script.crossOrigin = 'anonymous';
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * First source that serves the entry's files (probed with its first file)
+     * @param {string} name - Entry name in the config
+     * @returns {Promise<string>} Base URL
+     */
+    async resolveRoot(name) {
+        const entry = this.config[name];
+        const sources = this.sources(name);
+        for (const base of sources) {
+            if (await this.exists(base + entry.files[0])) return base;
+        }
+        throw new Error(`${name} files not found (tried ${sources.join(', ')})`);
+    }
+
+    /**
+     * Whether a URL can be fetched
+     */
+    async exists(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            return response.ok;
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+// Export for use in app.js
+self.ModelLoader = ModelLoader;
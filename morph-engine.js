@@ -10,19 +10,32 @@
  * 
  * ALGORITHM OVERVIEW:
  * -------------------
- * 1. TRIANGULATION: Divide face into triangles using Delaunay method
+ * 1. TRIANGULATION: Divide face into triangles
  *    - Uses 468 MediaPipe landmarks as vertices
- *    - Bowyer-Watson algorithm creates optimal triangle mesh
+ *    - Default: the fixed canonical FaceMesh tessellation (same topology
+ *      for every target, see face-mesh-tessellation.js)
+ *    - Fallback: Bowyer-Watson Delaunay triangulation of key landmarks,
+ *      for landmark sets the canonical mesh does not fit
  * 
  * 2. WARPING: For each triangle pair (source ↔ target):
+ *    - Destination mesh = camera landmarks, optionally moved towards the
+ *      (similarity-aligned) target landmarks by `shapeAmount`
  *    - Compute affine transform matrix
+ *    - Rasterize destination triangle with a scanline fill rule
  *    - Map each destination pixel to source using inverse transform
- *    - Sample source color using bilinear interpolation
+ *    - Sample source color (nearest / bilinear / bicubic)
+ * 
+ *    - Optional outer ring of synthetic points (hair, ears, neck),
+ *      extrapolated from the contour; the frame edges stay fixed
  * 
  * 3. BLENDING: Combine warped face with original:
- *    - Create face mask from hull landmarks
+ *    - Create face mask from hull landmarks (or the outer ring)
  *    - Apply multiple blur passes for smooth feathering
  *    - Blend using: output = src*(1-mask*α) + warped*(mask*α)
+ *    - Optional 'seamless' mode: Poisson clone inside the face mask
+ *      (warped gradients, camera frame as boundary condition)
+ *    - Optional 'frequency' mode: the target's fine detail on top of the
+ *      camera frame's low-frequency lighting
  * 
  * KEY CONCEPTS:
  * -------------
@@ -72,6 +85,103 @@ class MorphEngine {
          * - Complete face coverage for seamless morphing
          */
         this.keyLandmarkIndices = this.getKeyLandmarkIndices();
+
+        /**
+         * COLOR REGIONS - Landmark groups for regional color statistics
+         * Lighting is rarely even across a face (window on one side, lamp
+         * above), so color statistics are gathered per region and blended
+         * smoothly between region centers.
+         *
+         *          forehead
+         *     leftCheek   rightCheek      (image left / image right)
+         *            chin
+         */
+        this.colorRegions = {
+            forehead: [10, 151, 9, 108, 337, 67, 297, 69, 299, 104, 333],
+            leftCheek: [50, 101, 36, 205, 187, 123, 117, 118, 100],
+            rightCheek: [280, 330, 266, 425, 411, 352, 346, 347, 329],
+            chin: [152, 175, 199, 200, 18, 377, 148, 176, 400, 171, 396]
+        };
+
+        /**
+         * sRGB → linear lookup table (used by the Lab color conversion)
+         */
+        this.srgbToLinear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const c = i / 255;
+            this.srgbToLinear[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        }
+
+        /**
+         * LIVE TRIANGULATION - Delaunay fallback for faces taken from the
+         * camera frame (face swap) when the canonical mesh is unavailable.
+         * Computed from each live source's first frame and reused for it, so
+         * its mesh does not change topology from frame to frame
+         * (sourceId → triangles, emptied by clearLive()).
+         */
+        this.liveTriangles = new Map();
+
+        /**
+         * CANONICAL TOPOLOGY - Fixed FaceMesh triangle list (898 triangles)
+         * Loaded from face-mesh-tessellation.js; null if that script is
+         * missing, in which case every target uses Delaunay.
+         */
+        this.canonicalTriangles = self.FACE_MESH_TESSELLATION && self.FACE_MESH_HOLE_TRIANGLES
+            ? [...self.FACE_MESH_TESSELLATION, ...self.FACE_MESH_HOLE_TRIANGLES]
+            : null;
+
+        /**
+         * BOUNDARY POINTS - Synthetic points outside the face contour
+         * The hull stops at the hairline (landmark 10 is the highest point),
+         * so hair and neck would never be warped. Synthetic points are
+         * appended after the 478 MediaPipe points (see addBoundaryPoints):
+         * - Outer ring: one point per hull index, pushed outward
+         *   (most above the forehead for hair, less at the sides, some
+         *   below the chin for the neck)
+         * - Frame anchors: corners and edge midpoints, never move
+         *
+         *     A─────────A─────────A      A = frame anchor
+         *     │      o o o o      │      o = outer ring
+         *     │    o  ┌─────┐  o  │      face = hull (canonical mesh)
+         *     A    o  │face │  o  A
+         *     │    o  └─────┘  o  │
+         *     │      o o o o      │
+         *     A─────────A─────────A
+         */
+        this.boundaryBaseIndex = 478;
+        this.ringIndices = this.hullIndices.map((_, i) => this.boundaryBaseIndex + i);
+        this.anchorIndices = Array.from({ length: 8 }, (_, k) => this.boundaryBaseIndex + this.hullIndices.length + k);
+
+        // Strip of triangles between the hull and the outer ring
+        // (fixed topology, same for every face)
+        this.boundaryTriangles = [];
+        for (let i = 0; i < this.hullIndices.length; i++) {
+            const next = (i + 1) % this.hullIndices.length;
+            const a = this.hullIndices[i], b = this.hullIndices[next];
+            const ra = this.ringIndices[i], rb = this.ringIndices[next];
+            this.boundaryTriangles.push([a, b, rb], [a, rb, ra]);
+        }
+
+        /**
+         * MEAN FACE - Average frontal face shape (normalized, see mean-face.js)
+         * Reference for caricature mode; null if that script is missing.
+         */
+        this.meanFace = self.MEAN_FACE_LANDMARKS || null;
+
+        /**
+         * MIRROR PAIRS - Left/right landmark counterparts and the midline
+         * (face-mesh-tessellation.js), for symmetry mode; null if missing.
+         * The mirror axis is fitted through forehead, nose bridge and chin
+         * points only, which stay on the midline whatever the expression.
+         */
+        this.mirrorPairs = self.FACE_MESH_MIRROR_PAIRS || null;
+        this.midlineIndices = self.FACE_MESH_MIDLINE || [];
+        this.symmetryAxisIndices = [10, 151, 9, 168, 6, 197, 195, 5, 4, 1, 152];
+
+        // 'auto' topology: share of folded canonical triangles above which a
+        // landmark set is treated as non-standard (hand-made) and triangulated
+        // with Delaunay instead. Real faces fold a few percent at most.
+        this.maxFoldedFraction = 0.1;
     }
 
     /**
@@ -162,16 +272,26 @@ class MorphEngine {
         for (let i = 0; i < points.length; i++) {
             const p = points[i];
             if (p && typeof p[0] === 'number' && typeof p[1] === 'number' &&
-                p[0] >= 0 && p[0] < width && p[1] >= 0 && p[1] < height) {
+                p[0] >= 0 && p[0] < width && p[1] >= 0 && p[1] < height &&
+                !this.hasNearbyPoint(validPoints, p)) {
                 indexMap[validPoints.length] = i;
                 validPoints.push([p[0], p[1]]);
             }
         }
 
-        if (validPoints.length < 3) return [];
+        if (validPoints.length < 3 || this.allCollinear(validPoints)) return [];
 
-        // Use a simpler approach: Delaunay via ear clipping with proper sorting
-        const triangles = this.bowyerWatson(validPoints, width, height);
+        // Joggle every point by a fixed, tiny (< 0.001 px) offset. Landmarks
+        // on a grid or a circle are exactly cocircular, where rounding makes
+        // the circumcircle test answer inconsistently and triangles overlap.
+        // The offsets break those ties without visibly moving anything;
+        // triangles refer to indices, so the original positions are used later.
+        const joggled = validPoints.map((p, i) => [
+            p[0] + this.joggleOffset(i * 2),
+            p[1] + this.joggleOffset(i * 2 + 1)
+        ]);
+
+        const triangles = this.bowyerWatson(joggled, width, height);
 
         // Map back to original indices
         return triangles.map(tri => [
@@ -181,6 +301,57 @@ class MorphEngine {
         ]).filter(tri => tri[0] !== undefined && tri[1] !== undefined && tri[2] !== undefined);
     }
 
+    /**
+     * True if a point within half a pixel of p was already accepted.
+     * Hand-made landmark files often place several landmarks on the same
+     * spot; duplicates break the circumcircle test (every circle through
+     * the original also "contains" the copy) and only add zero-area
+     * triangles. The first of the duplicates is triangulated, the others
+     * are left out.
+     */
+    hasNearbyPoint(points, p) {
+        for (const q of points) {
+            const dx = q[0] - p[0], dy = q[1] - p[1];
+            if (dx * dx + dy * dy < 0.25) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Deterministic pseudo-random offset in [-0.0005, 0.0005) px
+     * (same input, same triangulation)
+     */
+    joggleOffset(n) {
+        const h = Math.sin(n * 12.9898 + 78.233) * 43758.5453;
+        return (h - Math.floor(h) - 0.5) * 1e-3;
+    }
+
+    /**
+     * True if all points lie on one line (nothing to triangulate)
+     */
+    allCollinear(points) {
+        const [a] = points;
+        // Farthest point from a defines the line
+        let b = a, maxDist = 0;
+        for (const p of points) {
+            const d = (p[0] - a[0]) ** 2 + (p[1] - a[1]) ** 2;
+            if (d > maxDist) { maxDist = d; b = p; }
+        }
+        const length = Math.sqrt(maxDist);
+        if (length === 0) return true;
+
+        // Any point more than half a pixel off the line makes a real triangle
+        return points.every(p => Math.abs(this.orient(a, b, p)) / length < 0.5);
+    }
+
+    /**
+     * Twice the signed area of triangle abc
+     * > 0: counter-clockwise (in y-up axes), < 0: clockwise, 0: collinear
+     */
+    orient(a, b, c) {
+        return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    }
+
     /**
      * ========================================================================
      * BOWYER-WATSON ALGORITHM - Delaunay Triangulation
@@ -338,11 +509,14 @@ class MorphEngine {
         // ====================================================================
         // The super-triangle was just scaffolding. Remove any triangle that
         // uses super-triangle vertices (indices >= n).
+        // Collinear points (e.g. a straight row of hand-placed landmarks)
+        // can leave zero-area slivers behind; those are dropped too.
         //
         const result = [];
         for (const tri of triList) {
             // Only keep triangles where ALL vertices are real face points
-            if (tri[0] < n && tri[1] < n && tri[2] < n) {
+            if (tri[0] < n && tri[1] < n && tri[2] < n &&
+                Math.abs(this.orient(points[tri[0]], points[tri[1]], points[tri[2]])) > 1e-6) {
                 result.push(tri);
             }
         }
@@ -385,8 +559,10 @@ class MorphEngine {
      *            P      ← Is P inside this circle?
      * 
      * MATH: Uses the determinant formula for circumcircle test.
-     * The sign of the determinant tells us if P is inside (positive),
-     * on the circle (zero), or outside (negative).
+     * For a counter-clockwise triangle the sign of the determinant tells us
+     * if P is inside (positive), on the circle (zero), or outside (negative).
+     * Bowyer-Watson creates triangles in either winding, so the determinant
+     * is multiplied by the triangle's orientation first.
      * 
      * @param {number[]} p - Point to test [x, y]
      * @param {number[]} a - First vertex of triangle [x, y]
@@ -411,7 +587,9 @@ class MorphEngine {
             (bx * bx + by * by) * (ax * cy - cx * ay) +
             (cx * cx + cy * cy) * (ax * by - bx * ay);
 
-        return det > 0;  // Positive = inside circumcircle
+        // Same sign as the orientation = inside circumcircle
+        const orientation = this.orient(a, b, c);
+        return orientation > 0 ? det > 0 : det < 0;
     }
 
     /**
@@ -537,9 +715,9 @@ class MorphEngine {
      * Warps pixels from a source triangle to a destination triangle.
      * 
      * HOW IT WORKS:
-     * 1. For each pixel in the DESTINATION triangle
-     * 2. Use INVERSE transform to find where it came from in SOURCE
-     * 3. Sample the source color (using bilinear interpolation)
+     * 1. Rasterize the DESTINATION triangle row by row (scanlines)
+     * 2. Use INVERSE transform to find where each pixel came from in SOURCE
+     * 3. Sample the source color (nearest, bilinear or bicubic)
      * 4. Write to destination
      * 
      * WHY INVERSE TRANSFORM?
@@ -564,30 +742,11 @@ class MorphEngine {
      * @param {ImageData} dstData - Destination image data (will be modified)
      * @param {number[][]} srcTri - Source triangle [[x0,y0], [x1,y1], [x2,y2]]
      * @param {number[][]} dstTri - Destination triangle
+     * @param {string} sampling - 'nearest' (fast preview), 'bilinear' (default) or 'bicubic' (stills)
      */
-    warpTriangle(srcData, dstData, srcTri, dstTri) {
-        // ====================================================================
-        // STEP 1: GET BOUNDING BOX OF DESTINATION TRIANGLE
-        // ====================================================================
-        // Instead of checking every pixel in the image, we only check pixels
-        // within the bounding box of the destination triangle.
-        //
-        // Visual:
-        //     ┌─────────────┐
-        //     │    /\       │  ← Bounding box
-        //     │   /  \      │
-        //     │  /____\     │
-        //     └─────────────┘
-        //
-        const minX = Math.max(0, Math.floor(Math.min(dstTri[0][0], dstTri[1][0], dstTri[2][0])));
-        const maxX = Math.min(dstData.width - 1, Math.ceil(Math.max(dstTri[0][0], dstTri[1][0], dstTri[2][0])));
-        const minY = Math.max(0, Math.floor(Math.min(dstTri[0][1], dstTri[1][1], dstTri[2][1])));
-        const maxY = Math.min(dstData.height - 1, Math.ceil(Math.max(dstTri[0][1], dstTri[1][1], dstTri[2][1])));
-
-        if (minX >= maxX || minY >= maxY) return;  // Triangle is outside image or degenerate
-
+    warpTriangle(srcData, dstData, srcTri, dstTri, sampling = 'bilinear') {
         // ====================================================================
-        // STEP 2: COMPUTE INVERSE AFFINE TRANSFORM
+        // STEP 1: COMPUTE INVERSE AFFINE TRANSFORM
         // ====================================================================
         // We need the transform that goes from DESTINATION → SOURCE
         // So we can ask: "For this destination pixel, where did it come from?"
@@ -599,78 +758,226 @@ class MorphEngine {
         const srcWidth = srcData.width;
         const srcHeight = srcData.height;
         const dstWidth = dstData.width;
+        const sample = sampling === 'nearest' ? this.sampleNearest
+            : sampling === 'bicubic' ? this.sampleBicubic
+                : this.sampleBilinear;
 
         // ====================================================================
-        // STEP 3: ITERATE OVER DESTINATION PIXELS
+        // STEP 2: RASTERIZE ONLY THE COVERED PIXELS
         // ====================================================================
-        for (let y = minY; y <= maxY; y++) {
-            for (let x = minX; x <= maxX; x++) {
-                // Check if this pixel is actually inside the destination triangle
-                // (bounding box includes pixels outside the triangle)
-                if (!this.isPointInTriangle(x, y, dstTri)) continue;
-
-                // ============================================================
-                // STEP 4: APPLY INVERSE TRANSFORM
-                // ============================================================
-                // x' = a*x + b*y + c
-                // y' = d*x + e*y + f
-                const srcX = a * x + b * y + c;
-                const srcY = d * x + e * y + f;
-
+        // Instead of testing every pixel of the bounding box, each row gets
+        // the exact [xStart, xEnd] span inside the triangle.
+        //
+        // Visual:
+        //          /\
+        //         /──\       ← row y: only pixels between the edges
+        //        /────\
+        //       /──────\
+        //
+        this.rasterizeTriangle(dstTri, dstData.width, dstData.height, (y, xStart, xEnd) => {
+            // ============================================================
+            // STEP 3: APPLY INVERSE TRANSFORM (incrementally along the row)
+            // ============================================================
+            // x' = a*x + b*y + c
+            // y' = d*x + e*y + f
+            let srcX = a * xStart + b * y + c;
+            let srcY = d * xStart + e * y + f;
+            let dstIdx = (y * dstWidth + xStart) * 4;  // Destination pixel index (RGBA = 4 bytes)
+
+            for (let x = xStart; x <= xEnd; x++, srcX += a, srcY += d, dstIdx += 4) {
                 // Check if source coordinates are within bounds
                 if (srcX < 0 || srcX >= srcWidth - 1 || srcY < 0 || srcY >= srcHeight - 1) continue;
 
                 // ============================================================
-                // STEP 5: BILINEAR INTERPOLATION
+                // STEP 4: SAMPLE SOURCE COLOR
                 // ============================================================
-                // The source coordinates are usually not exact integers.
-                // We interpolate between the 4 nearest pixels for smooth results.
-                //
-                // Visual:
-                //     (x0,y0)────(x1,y0)
-                //        │    P    │      P = source point (may be between pixels)
-                //        │    ●    │      
-                //     (x0,y1)────(x1,y1)
-                //
-                const x0 = Math.floor(srcX);    // Left pixel
-                const y0 = Math.floor(srcY);    // Top pixel
-                const x1 = Math.min(x0 + 1, srcWidth - 1);   // Right pixel
-                const y1 = Math.min(y0 + 1, srcHeight - 1);  // Bottom pixel
-                const fx = srcX - x0;  // Fractional x (0 to 1)
-                const fy = srcY - y0;  // Fractional y (0 to 1)
-
-                const dstIdx = (y * dstWidth + x) * 4;  // Destination pixel index (RGBA = 4 bytes)
-
-                // Interpolate each color channel (R, G, B)
-                for (let ch = 0; ch < 3; ch++) {
-                    // Get the 4 neighboring pixel values
-                    const v00 = srcData.data[(y0 * srcWidth + x0) * 4 + ch];  // Top-left
-                    const v10 = srcData.data[(y0 * srcWidth + x1) * 4 + ch];  // Top-right
-                    const v01 = srcData.data[(y1 * srcWidth + x0) * 4 + ch];  // Bottom-left
-                    const v11 = srcData.data[(y1 * srcWidth + x1) * 4 + ch];  // Bottom-right
-
-                    // Bilinear interpolation formula:
-                    // value = v00*(1-fx)*(1-fy) + v10*fx*(1-fy) + v01*(1-fx)*fy + v11*fx*fy
-                    const value = v00 * (1 - fx) * (1 - fy) +
-                        v10 * fx * (1 - fy) +
-                        v01 * (1 - fx) * fy +
-                        v11 * fx * fy;
-
-                    dstData.data[dstIdx + ch] = Math.round(value);
-                }
+                sample(srcData, srcX, srcY, dstData.data, dstIdx);
                 dstData.data[dstIdx + 3] = 255;  // Alpha = fully opaque
             }
+        });
+    }
+
+    /**
+     * ========================================================================
+     * RASTERIZE TRIANGLE - Scanline coverage with a consistent fill rule
+     * ========================================================================
+     * Calls `span(y, xStart, xEnd)` for every pixel row the triangle covers.
+     * 
+     * FILL RULE (no seams, no double writes):
+     * A pixel exactly on an edge shared by two triangles must belong to
+     * exactly one of them. Like the GPU "top-left" rule:
+     * - On a sloped/vertical edge, the pixel belongs to the triangle on its right
+     * - On a horizontal edge, the pixel belongs to the triangle below it
+     * 
+     * Each edge's crossing point is computed from its endpoints in a fixed
+     * (lexicographic) order, so both triangles sharing an edge get
+     * bit-identical crossings and the rule above is applied consistently.
+     * 
+     * @param {number[][]} tri - Triangle [[x0,y0], [x1,y1], [x2,y2]]
+     * @param {number} width - Raster width (pixels outside are clipped)
+     * @param {number} height - Raster height
+     * @param {Function} span - Called as span(y, xStart, xEnd), inclusive
+     */
+    rasterizeTriangle(tri, width, height, span) {
+        const [p0, p1, p2] = tri;
+
+        // Orientation: sign of the cross product tells which side is "inside"
+        const cross = (p1[0] - p0[0]) * (p2[1] - p0[1]) - (p1[1] - p0[1]) * (p2[0] - p0[0]);
+        if (cross === 0) return;  // Degenerate triangle
+        const orient = cross > 0 ? 1 : -1;
+
+        // Set up each edge with canonically ordered endpoints (u < v)
+        const edges = [[p0, p1], [p1, p2], [p2, p0]].map(([p, q]) => {
+            const swap = p[0] > q[0] || (p[0] === q[0] && p[1] > q[1]);
+            const u = swap ? q : p;
+            const v = swap ? p : q;
+            // Edge function E(pt) = cross(v - u, pt - u); `dir` is its sign inside the triangle
+            const dir = swap ? -orient : orient;
+            const dx = v[0] - u[0];
+            const dy = v[1] - u[1];
+            return {
+                u, dx, dy,
+                interiorRight: dy !== 0 && dir * -dy > 0,  // E grows with x on the inside
+                interiorBelow: dy === 0 && dir * dx > 0    // E grows with y on the inside
+            };
+        });
+
+        const minY = Math.max(0, Math.ceil(Math.min(p0[1], p1[1], p2[1])));
+        const maxY = Math.min(height - 1, Math.floor(Math.max(p0[1], p1[1], p2[1])));
+
+        for (let y = minY; y <= maxY; y++) {
+            let xStart = 0;
+            let xEnd = width - 1;
+
+            for (const edge of edges) {
+                if (edge.dy === 0) {
+                    // Horizontal edge: the whole row is in or out
+                    const y0 = edge.u[1];
+                    if (edge.interiorBelow ? y < y0 : y > y0) { xEnd = -1; break; }
+                    if (y === y0 && !edge.interiorBelow) { xEnd = -1; break; }
+                    continue;
+                }
+
+                // Where this edge crosses row y (identical for both triangles sharing it)
+                const xCross = edge.u[0] + edge.dx * (y - edge.u[1]) / edge.dy;
+                if (edge.interiorRight) {
+                    xStart = Math.max(xStart, Math.ceil(xCross));     // Pixel on the edge belongs here
+                } else {
+                    xEnd = Math.min(xEnd, Math.ceil(xCross) - 1);     // Pixel on the edge belongs to the neighbour
+                }
+            }
+
+            if (xStart <= xEnd) span(y, xStart, xEnd);
+        }
+    }
+
+    /**
+     * Nearest-neighbour sampling (fastest, blocky)
+     */
+    sampleNearest(srcData, srcX, srcY, out, outIdx) {
+        const idx = (Math.round(srcY) * srcData.width + Math.round(srcX)) * 4;
+        out[outIdx] = srcData.data[idx];
+        out[outIdx + 1] = srcData.data[idx + 1];
+        out[outIdx + 2] = srcData.data[idx + 2];
+    }
+
+    /**
+     * ========================================================================
+     * BILINEAR INTERPOLATION
+     * ========================================================================
+     * The source coordinates are usually not exact integers.
+     * We interpolate between the 4 nearest pixels for smooth results.
+     *
+     * Visual:
+     *     (x0,y0)────(x1,y0)
+     *        │    P    │      P = source point (may be between pixels)
+     *        │    ●    │      
+     *     (x0,y1)────(x1,y1)
+     */
+    sampleBilinear(srcData, srcX, srcY, out, outIdx) {
+        const srcWidth = srcData.width;
+        const src = srcData.data;
+        const x0 = Math.floor(srcX);    // Left pixel
+        const y0 = Math.floor(srcY);    // Top pixel
+        const x1 = Math.min(x0 + 1, srcWidth - 1);         // Right pixel
+        const y1 = Math.min(y0 + 1, srcData.height - 1);   // Bottom pixel
+        const fx = srcX - x0;  // Fractional x (0 to 1)
+        const fy = srcY - y0;  // Fractional y (0 to 1)
+
+        const i00 = (y0 * srcWidth + x0) * 4;  // Top-left
+        const i10 = (y0 * srcWidth + x1) * 4;  // Top-right
+        const i01 = (y1 * srcWidth + x0) * 4;  // Bottom-left
+        const i11 = (y1 * srcWidth + x1) * 4;  // Bottom-right
+
+        // value = v00*(1-fx)*(1-fy) + v10*fx*(1-fy) + v01*(1-fx)*fy + v11*fx*fy
+        for (let ch = 0; ch < 3; ch++) {
+            const value = src[i00 + ch] * (1 - fx) * (1 - fy) +
+                src[i10 + ch] * fx * (1 - fy) +
+                src[i01 + ch] * (1 - fx) * fy +
+                src[i11 + ch] * fx * fy;
+            out[outIdx + ch] = Math.round(value);
+        }
+    }
+
+    /**
+     * ========================================================================
+     * BICUBIC INTERPOLATION (Catmull-Rom)
+     * ========================================================================
+     * Uses the 4x4 neighbourhood around the source point. Sharper than
+     * bilinear; meant for snapshots where speed matters less.
+     * Neighbours outside the image are clamped to the border.
+     */
+    sampleBicubic(srcData, srcX, srcY, out, outIdx) {
+        const srcWidth = srcData.width;
+        const srcHeight = srcData.height;
+        const src = srcData.data;
+        const ix = Math.floor(srcX);
+        const iy = Math.floor(srcY);
+        const fx = srcX - ix;
+        const fy = srcY - iy;
+
+        // Catmull-Rom weights for offsets -1, 0, +1, +2
+        const weights = (t) => {
+            const t2 = t * t, t3 = t2 * t;
+            return [
+                -0.5 * t3 + t2 - 0.5 * t,
+                1.5 * t3 - 2.5 * t2 + 1,
+                -1.5 * t3 + 2 * t2 + 0.5 * t,
+                0.5 * t3 - 0.5 * t2
+            ];
+        };
+        const wx = weights(fx);
+        const wy = weights(fy);
+
+        let r = 0, g = 0, b = 0;
+        for (let m = 0; m < 4; m++) {
+            const sy = Math.min(srcHeight - 1, Math.max(0, iy + m - 1));
+            for (let n = 0; n < 4; n++) {
+                const sx = Math.min(srcWidth - 1, Math.max(0, ix + n - 1));
+                const w = wx[n] * wy[m];
+                const idx = (sy * srcWidth + sx) * 4;
+                r += src[idx] * w;
+                g += src[idx + 1] * w;
+                b += src[idx + 2] * w;
+            }
         }
+
+        out[outIdx] = Math.min(255, Math.max(0, Math.round(r)));
+        out[outIdx + 1] = Math.min(255, Math.max(0, Math.round(g)));
+        out[outIdx + 2] = Math.min(255, Math.max(0, Math.round(b)));
     }
 
     /**
      * Create face hull mask with smooth edges
      * Uses multiple blur passes for ultra-smooth feathering
+     * @param {number[][]} landmarks - Landmarks (may include boundary points)
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {number[]} outline - Landmark indices of the mask outline
+     *                             (default: face hull; the outer ring with boundary points)
      */
-    createFaceMask(landmarks, width, height) {
-        const maskCanvas = document.createElement('canvas');
-        maskCanvas.width = width;
-        maskCanvas.height = height;
+    createFaceMask(landmarks, width, height, outline = this.hullIndices) {
+        const maskCanvas = this.createCanvas(width, height);
         const maskCtx = maskCanvas.getContext('2d');
 
         // Fill with black background
@@ -678,7 +985,7 @@ class MorphEngine {
         maskCtx.fillRect(0, 0, width, height);
 
         // Get hull points
-        const hullPoints = this.hullIndices.map(i => landmarks[i]).filter(p => p && p[0] !== undefined);
+        const hullPoints = outline.map(i => landmarks[i]).filter(p => p && p[0] !== undefined);
         if (hullPoints.length < 3) return null;
 
         // Calculate face center and scale inward for erosion
@@ -704,29 +1011,108 @@ class MorphEngine {
         maskCtx.closePath();
         maskCtx.fill();
 
-        // Apply multiple blur passes for ultra-smooth feathering
-        // Pass 1: Extra large blur for very smooth edges
-        maskCtx.filter = 'blur(60px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
+        // Apply multiple blur passes for ultra-smooth feathering:
+        // extra large (60px) → large (50px) → medium (40px) → small (25px) → final polish (10px)
+        return this.blurMask(maskCanvas, maskCtx, [60, 50, 40, 25, 10]);
+    }
 
-        // Pass 2: Large blur
-        maskCtx.filter = 'blur(50px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
+    /**
+     * Create a 2D canvas that works both on the main thread and in a worker
+     * (OffscreenCanvas is used when there is no DOM)
+     */
+    createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
 
-        // Pass 3: Medium blur
-        maskCtx.filter = 'blur(40px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
+    /**
+     * Blur a mask canvas with successive blur passes and return its pixels.
+     * Uses the canvas `filter` when the context supports it; otherwise
+     * (e.g. OffscreenCanvas on Safari) falls back to a JS box blur.
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Mask canvas
+     * @param {CanvasRenderingContext2D} ctx - Its 2D context
+     * @param {number[]} radii - Blur radius (px) of each pass
+     * @returns {ImageData} Blurred mask
+     */
+    blurMask(canvas, ctx, radii) {
+        if (typeof ctx.filter === 'string') {
+            for (const radius of radii) {
+                ctx.filter = `blur(${radius}px)`;
+                ctx.drawImage(canvas, 0, 0);
+            }
+            ctx.filter = 'none';
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        }
 
-        // Pass 4: Small blur for smooth gradient
-        maskCtx.filter = 'blur(25px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
+        // Successive gaussian blurs combine as sqrt(sum of squares)
+        const radius = Math.round(Math.sqrt(radii.reduce((sum, r) => sum + r * r, 0)));
+        const maskData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        this.boxBlurMask(maskData, radius);
+        return maskData;
+    }
 
-        // Pass 4: Final polish
-        maskCtx.filter = 'blur(10px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
-        maskCtx.filter = 'none';
+    /**
+     * In-place blur of a grayscale mask (R channel) using three box-blur
+     * passes, which approximates a gaussian blur with sigma ≈ radius.
+     * @param {ImageData} maskData - Mask to blur (all channels are rewritten)
+     * @param {number} radius - Blur radius in pixels
+     */
+    boxBlurMask(maskData, radius) {
+        const { width, height, data } = maskData;
+        const size = width * height;
+        const src = new Float32Array(size);
+        for (let i = 0; i < size; i++) src[i] = data[i * 4];
+
+        this.boxBlur(src, width, height, radius);
+
+        for (let i = 0; i < size; i++) {
+            const v = Math.round(src[i]);
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = v;
+            data[i * 4 + 3] = 255;
+        }
+    }
 
-        return maskCtx.getImageData(0, 0, width, height);
+    /**
+     * In-place three-pass box blur of a single-channel float image
+     * (approximately a gaussian blur with sigma ≈ radius)
+     * @param {Float32Array} src - Values, row-major (overwritten)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels
+     */
+    boxBlur(src, width, height, radius) {
+        const tmp = new Float32Array(width * height);
+
+        // Three passes of a (2r+1)-wide box give sigma = sqrt(r² + r) ≈ r
+        const r = Math.max(1, Math.round(radius));
+        const win = 2 * r + 1;
+
+        for (let pass = 0; pass < 3; pass++) {
+            // Horizontal pass (running sum, edge pixels clamped)
+            for (let y = 0; y < height; y++) {
+                const row = y * width;
+                let sum = 0;
+                for (let k = -r; k <= r; k++) sum += src[row + Math.min(width - 1, Math.max(0, k))];
+                for (let x = 0; x < width; x++) {
+                    tmp[row + x] = sum / win;
+                    sum += src[row + Math.min(width - 1, x + r + 1)] - src[row + Math.max(0, x - r)];
+                }
+            }
+            // Vertical pass
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -r; k <= r; k++) sum += tmp[Math.min(height - 1, Math.max(0, k)) * width + x];
+                for (let y = 0; y < height; y++) {
+                    src[y * width + x] = sum / win;
+                    sum += tmp[Math.min(height - 1, y + r + 1) * width + x] - tmp[Math.max(0, y - r) * width + x];
+                }
+            }
+        }
     }
 
     /**
@@ -772,9 +1158,7 @@ class MorphEngine {
     createMouthInteriorMask(landmarks, width, height, openness) {
         if (openness < 0.15) return null; // Mouth is essentially closed
 
-        const maskCanvas = document.createElement('canvas');
-        maskCanvas.width = width;
-        maskCanvas.height = height;
+        const maskCanvas = this.createCanvas(width, height);
         const maskCtx = maskCanvas.getContext('2d');
 
         // Fill with black (no mouth)
@@ -805,12 +1189,9 @@ class MorphEngine {
         maskCtx.fill();
 
         // Apply slight blur for smooth edges
-        maskCtx.filter = 'blur(3px)';
-        maskCtx.drawImage(maskCanvas, 0, 0);
-        maskCtx.filter = 'none';
+        const maskData = this.blurMask(maskCanvas, maskCtx, [3]);
 
         // Scale mask by openness (more open = stronger mask)
-        const maskData = maskCtx.getImageData(0, 0, width, height);
         const scaleFactor = Math.min(1, openness * 1.5); // Boost effect slightly
 
         for (let i = 0; i < maskData.data.length; i += 4) {
@@ -823,8 +1204,10 @@ class MorphEngine {
 
     /**
      * Apply color correction to match skin tones
+     * Simple per-channel mean-ratio scaling (the original method)
+     * @param {number} strength - 0 = no correction, 1 = full mean match
      */
-    colorCorrect(srcData, targetData, mask, width, height) {
+    colorCorrect(srcData, targetData, mask, width, height, strength = 0.5) {
         // Calculate average colors in masked region for both images
         let srcR = 0, srcG = 0, srcB = 0, srcCount = 0;
         let tgtR = 0, tgtG = 0, tgtB = 0, tgtCount = 0;
@@ -851,7 +1234,7 @@ class MorphEngine {
         tgtR /= tgtCount; tgtG /= tgtCount; tgtB /= tgtCount;
 
         // Color correction factors (stronger blend for better skin matching)
-        const correctionStrength = 0.5;
+        const correctionStrength = strength;
         const rFactor = 1 + correctionStrength * (srcR - tgtR) / Math.max(tgtR, 1);
         const gFactor = 1 + correctionStrength * (srcG - tgtG) / Math.max(tgtG, 1);
         const bFactor = 1 + correctionStrength * (srcB - tgtB) / Math.max(tgtB, 1);
@@ -869,193 +1252,1736 @@ class MorphEngine {
     }
 
     /**
-     * Perform face morphing - main function
-     * This matches the Python implementation more closely
-     * @param {boolean} isAnimal - If true, use full opacity for animals
+     * Convert an sRGB pixel (0-255) to CIE Lab (D65)
+     * @param {number[]|Float32Array} out - Receives [L, a, b]
      */
-    morphFace(srcImageData, targetImageData, srcLandmarks, targetLandmarks, alpha, outputData, isAnimal = false) {
-        try {
-            const width = outputData.width;
-            const height = outputData.height;
-
-            // Validate inputs
-            if (!srcLandmarks || srcLandmarks.length < 400) {
-                console.error('[MorphEngine] Invalid source landmarks:', srcLandmarks?.length);
-                for (let i = 0; i < srcImageData.data.length; i++) {
-                    outputData.data[i] = srcImageData.data[i];
-                }
-                return;
-            }
-            if (!targetLandmarks || targetLandmarks.length < 400) {
-                console.error('[MorphEngine] Invalid target landmarks:', targetLandmarks?.length);
-                for (let i = 0; i < srcImageData.data.length; i++) {
-                    outputData.data[i] = srcImageData.data[i];
-                }
-                return;
-            }
-
-            // Scale target landmarks to match source dimensions
-            const scaleX = srcImageData.width / targetImageData.width;
-            const scaleY = srcImageData.height / targetImageData.height;
+    rgbToLab(r, g, b, out) {
+        const lr = this.srgbToLinear[r], lg = this.srgbToLinear[g], lb = this.srgbToLinear[b];
 
-            const scaledTargetLandmarks = targetLandmarks.map(p => {
-                if (!p || p[0] === undefined) return null;
-                return [p[0] * scaleX, p[1] * scaleY];
-            });
-
-            // Compute Delaunay triangulation from TARGET landmarks (not camera)
-            // This ensures consistent triangulation like the Python version
-            // The target image landmarks are stable, camera landmarks change every frame
-            const keyTargetPoints = this.keyLandmarkIndices
-                .filter(i => scaledTargetLandmarks[i] && scaledTargetLandmarks[i][0] !== undefined)
-                .map(i => ({ idx: i, pt: scaledTargetLandmarks[i] }));
-
-            const trianglePoints = keyTargetPoints.map(p => p.pt);
-            const triangles = this.computeDelaunay(trianglePoints, width, height);
-
-            // Map triangle indices back to original landmark indices
-            const mappedTriangles = triangles.map(tri => [
-                keyTargetPoints[tri[0]].idx,
-                keyTargetPoints[tri[1]].idx,
-                keyTargetPoints[tri[2]].idx
-            ]).filter(tri =>
-                tri[0] < srcLandmarks.length &&
-                tri[1] < srcLandmarks.length &&
-                tri[2] < srcLandmarks.length &&
-                tri[0] < scaledTargetLandmarks.length &&
-                tri[1] < scaledTargetLandmarks.length &&
-                tri[2] < scaledTargetLandmarks.length
-            );
-
-            // Initialize output with source
-            for (let i = 0; i < srcImageData.data.length; i++) {
-                outputData.data[i] = srcImageData.data[i];
-            }
-
-            // Scale target image to source size
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = srcImageData.width;
-            tempCanvas.height = srcImageData.height;
-            const tempCtx = tempCanvas.getContext('2d');
-
-            // Create ImageData from target
-            const targetCanvas = document.createElement('canvas');
-            targetCanvas.width = targetImageData.width;
-            targetCanvas.height = targetImageData.height;
-            const targetCtx = targetCanvas.getContext('2d');
-            targetCtx.putImageData(targetImageData, 0, 0);
-
-            // Draw scaled
-            tempCtx.drawImage(targetCanvas, 0, 0, srcImageData.width, srcImageData.height);
-            const scaledTargetData = tempCtx.getImageData(0, 0, srcImageData.width, srcImageData.height);
+        // Linear RGB → XYZ, normalized by the D65 white point
+        const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+        const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+        const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
 
-            // Create warped image buffer (initialized to transparent)
-            const warpedData = new ImageData(width, height);
-
-            // Warp each triangle from TARGET to SOURCE position
-            // This is the key: we warp the target image's content into the shape of the source landmarks
-            for (const indices of mappedTriangles) {
-                const [i, j, k] = indices;
+        const fx = x > 0.008856 ? Math.cbrt(x) : 7.787 * x + 16 / 116;
+        const fy = y > 0.008856 ? Math.cbrt(y) : 7.787 * y + 16 / 116;
+        const fz = z > 0.008856 ? Math.cbrt(z) : 7.787 * z + 16 / 116;
 
-                // Skip invalid indices
-                if (i >= srcLandmarks.length || j >= srcLandmarks.length || k >= srcLandmarks.length) continue;
-                if (i >= scaledTargetLandmarks.length || j >= scaledTargetLandmarks.length || k >= scaledTargetLandmarks.length) continue;
+        out[0] = 116 * fy - 16;
+        out[1] = 500 * (fx - fy);
+        out[2] = 200 * (fy - fz);
+    }
 
-                const srcTri = [srcLandmarks[i], srcLandmarks[j], srcLandmarks[k]];
-                const targetTri = [scaledTargetLandmarks[i], scaledTargetLandmarks[j], scaledTargetLandmarks[k]];
+    /**
+     * Convert CIE Lab (D65) back to sRGB (0-255, clamped)
+     * @param {number[]|Uint8ClampedArray} out - Receives R, G, B at out[outIdx..]
+     */
+    labToRgb(L, a, b, out, outIdx) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+
+        const x = 0.95047 * (fx > 0.206893 ? fx * fx * fx : (fx - 16 / 116) / 7.787);
+        const y = fy > 0.206893 ? fy * fy * fy : (fy - 16 / 116) / 7.787;
+        const z = 1.08883 * (fz > 0.206893 ? fz * fz * fz : (fz - 16 / 116) / 7.787);
+
+        const lin = [
+            x * 3.2406 - y * 1.5372 - z * 0.4986,
+            -x * 0.9689 + y * 1.8758 + z * 0.0415,
+            x * 0.0557 - y * 0.2040 + z * 1.0570
+        ];
+        for (let ch = 0; ch < 3; ch++) {
+            const c = Math.min(1, Math.max(0, lin[ch]));
+            const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+            out[outIdx + ch] = Math.round(v * 255);
+        }
+    }
 
-                // Check for valid points
-                if (!srcTri[0] || !srcTri[1] || !srcTri[2]) continue;
-                if (!targetTri[0] || !targetTri[1] || !targetTri[2]) continue;
+    /**
+     * ========================================================================
+     * LAB COLOR TRANSFER - Reinhard-style, with regional statistics
+     * ========================================================================
+     * Matches the warped face's color distribution to the camera face in
+     * CIE Lab space (perceptual, so hue is preserved on very light or very
+     * dark skin). Both MEAN (tint, brightness) and STANDARD DEVIATION
+     * (contrast) are matched:
+     * 
+     *     out = (t - μ_target) * (σ_camera / σ_target) + μ_camera
+     * 
+     * REGIONS:
+     * Statistics are computed separately for each of this.colorRegions
+     * (forehead, cheeks, chin). Each masked pixel counts towards its nearest
+     * region center. When transferring, each pixel uses a distance-weighted
+     * mix of the regional statistics, so a face lit from one side stays lit
+     * from that side after morphing, without seams between regions.
+     * 
+     * @param {ImageData} srcData - Camera frame
+     * @param {ImageData} targetData - Warped target face (same geometry as camera)
+     * @param {ImageData} mask - Face mask
+     * @param {number[][]} landmarks - Camera landmarks (region centers)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} strength - 0 = unchanged, 1 = full statistical match
+     * @returns {ImageData} Color-transferred warped face
+     */
+    colorTransferLab(srcData, targetData, mask, landmarks, width, height, strength = 0.5) {
+        // Region centers from camera landmarks (both images share this geometry)
+        const centers = [];
+        for (const indices of Object.values(this.colorRegions)) {
+            const pts = indices.map(i => landmarks[i]).filter(p => p && p[0] !== undefined);
+            if (pts.length === 0) continue;
+            centers.push([
+                pts.reduce((sum, p) => sum + p[0], 0) / pts.length,
+                pts.reduce((sum, p) => sum + p[1], 0) / pts.length
+            ]);
+        }
+        if (centers.length === 0) return this.colorCorrect(srcData, targetData, mask, width, height, strength);
 
-                // Skip degenerate triangles
-                const srcArea = Math.abs(
-                    (srcTri[1][0] - srcTri[0][0]) * (srcTri[2][1] - srcTri[0][1]) -
-                    (srcTri[2][0] - srcTri[0][0]) * (srcTri[1][1] - srcTri[0][1])
-                );
-                const targetArea = Math.abs(
-                    (targetTri[1][0] - targetTri[0][0]) * (targetTri[2][1] - targetTri[0][1]) -
-                    (targetTri[2][0] - targetTri[0][0]) * (targetTri[1][1] - targetTri[0][1])
-                );
-                if (srcArea < 1.0 || targetArea < 1.0) continue;
+        // Accumulators per region (+1 slot for global stats): [n, Σ, Σ²] × 3 channels × 2 images
+        const regionCount = centers.length;
+        const stats = [];
+        for (let r = 0; r <= regionCount; r++) {
+            stats.push({ n: 0, src: new Float64Array(6), tgt: new Float64Array(6) });
+        }
 
-                // Warp from target to source position
-                this.warpTriangle(scaledTargetData, warpedData, targetTri, srcTri);
+        const nearestRegion = (x, y) => {
+            let best = 0, bestDist = Infinity;
+            for (let r = 0; r < regionCount; r++) {
+                const d = (x - centers[r][0]) ** 2 + (y - centers[r][1]) ** 2;
+                if (d < bestDist) { bestDist = d; best = r; }
             }
+            return best;
+        };
 
-            // Create face mask
-            const mask = this.createFaceMask(srcLandmarks, width, height);
-            if (!mask) {
-                console.error('[MorphEngine] Failed to create face mask');
-                return;
+        // ====================================================================
+        // STEP 1: GATHER STATISTICS (pixels well inside the mask)
+        // ====================================================================
+        const labSrc = [0, 0, 0];
+        const labTgt = [0, 0, 0];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (mask.data[i] < 128 || targetData.data[i + 3] === 0) continue;
+
+                this.rgbToLab(srcData.data[i], srcData.data[i + 1], srcData.data[i + 2], labSrc);
+                this.rgbToLab(targetData.data[i], targetData.data[i + 1], targetData.data[i + 2], labTgt);
+
+                for (const region of [stats[nearestRegion(x, y)], stats[regionCount]]) {
+                    region.n++;
+                    for (let ch = 0; ch < 3; ch++) {
+                        region.src[ch] += labSrc[ch];
+                        region.src[ch + 3] += labSrc[ch] * labSrc[ch];
+                        region.tgt[ch] += labTgt[ch];
+                        region.tgt[ch + 3] += labTgt[ch] * labTgt[ch];
+                    }
+                }
             }
+        }
 
-            // Detect mouth openness and create mouth interior mask
-            const mouthOpenness = this.detectMouthOpenness(srcLandmarks);
-            const mouthMask = this.createMouthInteriorMask(srcLandmarks, width, height, mouthOpenness);
+        const global = stats[regionCount];
+        if (global.n === 0) return targetData;
 
-            // Apply color correction to warped data to match source skin tones
-            const correctedWarpedData = this.colorCorrect(srcImageData, warpedData, mask, width, height);
+        // Mean / std per region; regions with too few pixels fall back to global
+        const summarize = (acc, n) => {
+            const mean = [0, 0, 0], std = [0, 0, 0];
+            for (let ch = 0; ch < 3; ch++) {
+                mean[ch] = acc[ch] / n;
+                std[ch] = Math.sqrt(Math.max(0, acc[ch + 3] / n - mean[ch] * mean[ch]));
+            }
+            return { mean, std };
+        };
+        const regionStats = stats.map(region => {
+            const use = region.n >= 50 ? region : global;
+            return { src: summarize(use.src, use.n), tgt: summarize(use.tgt, use.n) };
+        });
 
-            // Blend source and warped target using mask
-            for (let i = 0; i < outputData.data.length; i += 4) {
-                const maskValue = mask.data[i] / 255;
+        // ====================================================================
+        // STEP 2: TRANSFER (every warped pixel, stats blended by distance)
+        // ====================================================================
+        const corrected = new ImageData(width, height);
+        corrected.data.set(targetData.data);
+
+        const weights = new Float64Array(regionCount);
+        const muS = [0, 0, 0], sdS = [0, 0, 0], muT = [0, 0, 0], sdT = [0, 0, 0];
+        const lab = [0, 0, 0];
+
+        // Softening term so weights do not spike at region centers (scaled to face size)
+        const xs = centers.map(c => c[0]), ys = centers.map(c => c[1]);
+        const faceSize = Math.max(1, Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        const spread = faceSize * faceSize * 0.05;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (targetData.data[i + 3] === 0) continue;
+
+                let total = 0;
+                for (let r = 0; r < regionCount; r++) {
+                    const d = (x - centers[r][0]) ** 2 + (y - centers[r][1]) ** 2;
+                    weights[r] = 1 / (d + spread);
+                    total += weights[r];
+                }
 
-                // Calculate blend factor based on category
-                let blendFactor;
-                if (isAnimal) {
-                    // For animals: use full opacity in masked area
-                    // No transparency - if mask > 0.1, show full morph
-                    blendFactor = maskValue > 0.1 ? alpha : 0;
-                } else if (alpha > 0.95) {
-                    // At 100% for humans: boost entire masked area
-                    blendFactor = Math.sqrt(maskValue) * alpha;
-                } else {
-                    // Normal blend for lower percentages
-                    blendFactor = maskValue * alpha;
+                for (let ch = 0; ch < 3; ch++) {
+                    muS[ch] = sdS[ch] = muT[ch] = sdT[ch] = 0;
+                    for (let r = 0; r < regionCount; r++) {
+                        const w = weights[r] / total;
+                        muS[ch] += w * regionStats[r].src.mean[ch];
+                        sdS[ch] += w * regionStats[r].src.std[ch];
+                        muT[ch] += w * regionStats[r].tgt.mean[ch];
+                        sdT[ch] += w * regionStats[r].tgt.std[ch];
+                    }
                 }
 
-                // Check if this pixel is inside the mouth opening (for teeth preservation)
-                let mouthFactor = 0;
-                if (mouthMask && !isAnimal) {
-                    mouthFactor = mouthMask.data[i] / 255;
+                this.rgbToLab(targetData.data[i], targetData.data[i + 1], targetData.data[i + 2], lab);
+                for (let ch = 0; ch < 3; ch++) {
+                    const matched = (lab[ch] - muT[ch]) * (sdS[ch] / Math.max(sdT[ch], 1e-3)) + muS[ch];
+                    lab[ch] += strength * (matched - lab[ch]);
                 }
+                this.labToRgb(lab[0], lab[1], lab[2], corrected.data, i);
+            }
+        }
 
-                // Only blend if we have valid warped data (alpha > 0)
-                const hasWarpedPixel = warpedData.data[i + 3] > 0;
+        return corrected;
+    }
 
-                for (let ch = 0; ch < 3; ch++) {
-                    if (hasWarpedPixel && blendFactor > 0.01) {
-                        // Calculate the morphed pixel
-                        const morphedPixel = srcImageData.data[i + ch] * (1 - blendFactor) +
-                            correctedWarpedData.data[i + ch] * blendFactor;
+    /**
+     * ========================================================================
+     * SEAMLESS CLONE - Poisson (gradient-domain) blending
+     * ========================================================================
+     * Instead of cross-fading colors, keep the warped face's GRADIENTS
+     * (its details) and let the camera frame decide the colors at the
+     * region boundary. Solves, for each color channel:
+     * 
+     *     Δf = Δg   inside the region Ω      (g = warped face)
+     *      f = s    on the boundary of Ω     (s = camera frame)
+     * 
+     * Discretized per pixel p with 4 neighbours q:
+     *     4·f_p - Σ f_q (q inside Ω) = Σ s_q (q outside Ω) + Σ (g_p - g_q)
+     * 
+     * Solved iteratively with Gauss-Seidel + over-relaxation (SOR).
+     * Too slow for live video at full resolution; meant for snapshots.
+     * 
+     * @param {ImageData} srcData - Camera frame (boundary condition)
+     * @param {ImageData} warpedData - Warped target face (guidance gradients)
+     * @param {Uint8Array} region - 1 for pixels inside Ω, 0 outside. Pixels on
+     *                             the image border are cleared (they lack a
+     *                             neighbour, so they are boundary, not Ω)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} iterations - Number of SOR sweeps
+     * @returns {ImageData} Warped face with seamless colors inside Ω
+     */
+    seamlessClone(srcData, warpedData, region, width, height, iterations = 200) {
+        const result = new ImageData(width, height);
+        result.data.set(warpedData.data);
+
+        // Every region pixel needs 4 neighbours: the image border becomes
+        // boundary (camera values), or the solve would read it as f = 0 and
+        // pull a face at the frame edge towards black
+        for (let x = 0; x < width; x++) {
+            region[x] = 0;
+            region[(height - 1) * width + x] = 0;
+        }
+        for (let y = 0; y < height; y++) {
+            region[y * width] = 0;
+            region[y * width + width - 1] = 0;
+        }
 
-                        // If mouth is open and this is inside the mouth, blend back to source (show teeth)
-                        if (mouthFactor > 0.1) {
-                            // Inside mouth opening: blend back towards source to show teeth
-                            outputData.data[i + ch] = Math.round(
-                                morphedPixel * (1 - mouthFactor) +
-                                srcImageData.data[i + ch] * mouthFactor
-                            );
-                        } else {
-                            outputData.data[i + ch] = Math.round(morphedPixel);
+        // Bounding box of the region
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                if (!region[y * width + x]) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+                count++;
+            }
+        }
+        if (count === 0) return result;
+
+        const src = srcData.data;
+        const warped = warpedData.data;
+        const neighbours = [-1, 1, -width, width];
+        const omega = 1.9;  // Over-relaxation factor (1 = plain Gauss-Seidel)
+
+        for (let ch = 0; ch < 3; ch++) {
+            // Initial guess: warped face shifted by the mean boundary difference
+            let diffSum = 0, diffCount = 0;
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const p = y * width + x;
+                    if (!region[p]) continue;
+                    for (const dq of neighbours) {
+                        const q = p + dq;
+                        if (!region[q] && warped[q * 4 + 3] > 0) {
+                            diffSum += src[q * 4 + ch] - warped[q * 4 + ch];
+                            diffCount++;
                         }
-                    } else {
-                        // Keep source pixel if no warped data or very low blend
-                        outputData.data[i + ch] = srcImageData.data[i + ch];
                     }
                 }
-                outputData.data[i + 3] = 255;
             }
-        } catch (error) {
-            console.error('[MorphEngine] Error in morphFace:', error);
-            // On error, copy source to output
-            for (let i = 0; i < srcImageData.data.length; i++) {
-                outputData.data[i] = srcImageData.data[i];
+            const shift = diffCount > 0 ? diffSum / diffCount : 0;
+
+            const f = new Float32Array(width * height);
+            const rhs = new Float32Array(width * height);
+
+            // Precompute the constant right-hand side for each region pixel
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const p = y * width + x;
+                    if (!region[p]) continue;
+                    const gp = warped[p * 4 + ch];
+                    let b = 0;
+                    for (const dq of neighbours) {
+                        const q = p + dq;
+                        // Guidance gradient only where the neighbour has warped data
+                        if (warped[q * 4 + 3] > 0) b += gp - warped[q * 4 + ch];
+                        // Dirichlet boundary: camera pixel value
+                        if (!region[q]) b += src[q * 4 + ch];
+                    }
+                    rhs[p] = b;
+                    f[p] = gp + shift;
+                }
+            }
+
+            // SOR sweeps over the region
+            for (let iter = 0; iter < iterations; iter++) {
+                for (let y = minY; y <= maxY; y++) {
+                    for (let x = minX; x <= maxX; x++) {
+                        const p = y * width + x;
+                        if (!region[p]) continue;
+                        let sum = rhs[p];
+                        if (region[p - 1]) sum += f[p - 1];
+                        if (region[p + 1]) sum += f[p + 1];
+                        if (region[p - width]) sum += f[p - width];
+                        if (region[p + width]) sum += f[p + width];
+                        f[p] += omega * (sum / 4 - f[p]);
+                    }
+                }
+            }
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const p = y * width + x;
+                    if (region[p]) result.data[p * 4 + ch] = Math.min(255, Math.max(0, Math.round(f[p])));
+                }
             }
         }
+
+        return result;
+    }
+
+    /**
+     * ========================================================================
+     * FREQUENCY SEPARATION - Target detail under the camera's lighting
+     * ========================================================================
+     * A target photo has its studio lighting baked into its colors. Pasting
+     * those colors onto the camera face replaces the user's real lighting,
+     * so the face looks stuck on. Instead both images are split into two
+     * frequency bands inside the face:
+     *
+     *     low  = blur(image)       lighting, shading, overall skin tone
+     *     high = image - low       detail: pores, eyes, brows, lips
+     *
+     *     result = high(warped target) + low(camera frame)
+     *
+     * Both blurs are normalized by the blurred weight of the face region
+     * (mask ∩ warped pixels), so the background never leaks into the
+     * lighting band near the face edge.
+     *
+     * @param {ImageData} srcData - Camera frame (lighting)
+     * @param {ImageData} warpedData - Warped target face (detail)
+     * @param {ImageData} mask - Face mask (R channel)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels: features larger than
+     *                          this count as lighting
+     * @returns {ImageData} Warped face relit by the camera frame
+     */
+    frequencySeparation(srcData, warpedData, mask, width, height, radius) {
+        const result = new ImageData(width, height);
+        result.data.set(warpedData.data);
+
+        // Bounding box of the face region
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (mask.data[i] > 0 && warpedData.data[i + 3] > 0) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return result;
+
+        const r = Math.max(1, Math.round(radius));
+        const bw = maxX - minX + 1;
+        const bh = maxY - minY + 1;
+        const size = bw * bh;
+
+        const weight = new Float32Array(size);
+        for (let y = 0; y < bh; y++) {
+            for (let x = 0; x < bw; x++) {
+                const i = ((y + minY) * width + x + minX) * 4;
+                weight[y * bw + x] = mask.data[i] > 0 && warpedData.data[i + 3] > 0 ? 1 : 0;
+            }
+        }
+        const blurredWeight = weight.slice();
+        this.boxBlur(blurredWeight, bw, bh, r);
+
+        // Region-normalized low band of one channel of one image
+        const lowBand = (data, ch) => {
+            const band = new Float32Array(size);
+            for (let y = 0; y < bh; y++) {
+                for (let x = 0; x < bw; x++) {
+                    const p = y * bw + x;
+                    band[p] = weight[p] * data[((y + minY) * width + x + minX) * 4 + ch];
+                }
+            }
+            this.boxBlur(band, bw, bh, r);
+            for (let p = 0; p < size; p++) band[p] = blurredWeight[p] > 1e-6 ? band[p] / blurredWeight[p] : 0;
+            return band;
+        };
+
+        for (let ch = 0; ch < 3; ch++) {
+            const frameLow = lowBand(srcData.data, ch);
+            const targetLow = lowBand(warpedData.data, ch);
+
+            for (let y = 0; y < bh; y++) {
+                for (let x = 0; x < bw; x++) {
+                    const p = y * bw + x;
+                    if (!weight[p]) continue;
+                    const i = ((y + minY) * width + x + minX) * 4 + ch;
+                    result.data[i] = Math.min(255, Math.max(0, Math.round(
+                        warpedData.data[i] - targetLow[p] + frameLow[p]
+                    )));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * ========================================================================
+     * PREPARE TARGET - One-time setup for a selected morph target
+     * ========================================================================
+     * Everything that depends only on the target (and the output size) is
+     * computed here once, instead of on every camera frame:
+     * - Target landmarks scaled to the output size
+     * - Delaunay triangulation of the key target points
+     * - Target image pixels rescaled to the output size
+     * - Per-triangle target-side vertices (the warp source)
+     *
+     * The returned object is passed to morphPrepared() every frame.
+     * It must be rebuilt when the target or the output size changes.
+     *
+     * @param {ImageData} targetImageData - Target image pixels (original size)
+     * @param {number[][]} targetLandmarks - Target landmarks in target image pixels
+     * @param {number} width - Output (camera frame) width
+     * @param {number} height - Output (camera frame) height
+     * @param {Object} options - Optional mesh settings
+     * @param {string} options.topology - 'auto' (default: canonical mesh if it fits
+     *                                    the landmarks), 'canonical' or 'delaunay'
+     * @param {Object} options.boundary - Outer ring extents (see addBoundaryPoints),
+     *                                    or null (default) to stop at the face contour
+     * @returns {Object|null} Prepared target, or null if landmarks are invalid
+     */
+    prepareTarget(targetImageData, targetLandmarks, width, height, options = {}) {
+        const { topology = 'auto', boundary = null } = options;
+
+        if (!targetLandmarks || targetLandmarks.length < 400) {
+            console.error('[MorphEngine] Invalid target landmarks:', targetLandmarks?.length);
+            return null;
+        }
+
+        // Scale target landmarks to match output dimensions
+        const scaleX = width / targetImageData.width;
+        const scaleY = height / targetImageData.height;
+
+        const scaledLandmarks = targetLandmarks.map(p => {
+            if (!p || p[0] === undefined) return null;
+            return [p[0] * scaleX, p[1] * scaleY];
+        });
+
+        // Triangulate from TARGET landmarks (not camera)
+        // The target image landmarks are stable, camera landmarks change every frame
+        const mesh = this.selectTopology(scaledLandmarks, topology);
+        const triangles = mesh === 'canonical'
+            ? this.canonicalTriangles
+            : this.triangulateLandmarks(scaledLandmarks, width, height);
+
+        const prepared = this.buildPrepared(scaledLandmarks, triangles,
+            this.scaleImageData(targetImageData, width, height), boundary);
+        prepared.topology = mesh;
+        return prepared;
+    }
+
+    /**
+     * Decide which mesh topology to use for a landmark set
+     * @param {number[][]} landmarks - Landmarks in pixels
+     * @param {string} topology - 'auto', 'canonical' or 'delaunay'
+     * @returns {string} 'canonical' or 'delaunay'
+     */
+    selectTopology(landmarks, topology = 'auto') {
+        if (topology === 'delaunay' || !this.canonicalTriangles) return 'delaunay';
+
+        // The canonical mesh needs every one of the 468 FaceMesh points
+        for (let i = 0; i < 468; i++) {
+            const p = landmarks[i];
+            if (!p || typeof p[0] !== 'number' || typeof p[1] !== 'number') return 'delaunay';
+        }
+        if (topology === 'canonical') return 'canonical';
+
+        // auto: a hand-made landmark set that only loosely follows FaceMesh
+        // folds the canonical mesh all over; Delaunay copes with it
+        const folded = this.countFoldedTriangles(landmarks, this.canonicalTriangles);
+        return folded / this.canonicalTriangles.length > this.maxFoldedFraction ? 'delaunay' : 'canonical';
+    }
+
+    /**
+     * Count triangles whose winding disagrees with the majority (folded over)
+     * The canonical triangles share one winding on the canonical model; on
+     * real landmarks a few are reversed anyway, so compare against the
+     * majority rather than expect zero. Degenerate triangles count as folded.
+     * @param {number[][]} landmarks - Landmarks in pixels
+     * @param {number[][]} triangles - Triangles as landmark index triples
+     * @returns {number} Number of folded triangles
+     */
+    countFoldedTriangles(landmarks, triangles) {
+        let positive = 0, negative = 0;
+        for (const [i, j, k] of triangles) {
+            const area = this.orient(landmarks[i], landmarks[j], landmarks[k]);
+            if (area > 1e-6) positive++;
+            else if (area < -1e-6) negative++;
+        }
+        return triangles.length - Math.max(positive, negative);
+    }
+
+    /**
+     * Fraction of a prepared target's triangles that are flipped on a face:
+     * their orientation disagrees with the majority target-to-face relation.
+     * On a head turned far from the camera the far side of the mesh folds
+     * over; mirrored landmarks (selfie view) flip every triangle alike and
+     * so do not count.
+     * @param {Object} prepared - Result of prepareTarget()
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @returns {number} Flipped fraction 0-1 (triangles with missing points are skipped)
+     */
+    countFlippedTriangles(prepared, landmarks) {
+        let same = 0, flipped = 0;
+        for (const { indices, targetTri } of prepared.triangleData) {
+            const a = landmarks[indices[0]], b = landmarks[indices[1]], c = landmarks[indices[2]];
+            if (!a || !b || !c) continue;
+
+            const sign = this.orient(targetTri[0], targetTri[1], targetTri[2]) * this.orient(a, b, c);
+            if (sign > 0) same++;
+            else flipped++;
+        }
+        const total = same + flipped;
+        return total > 0 ? Math.min(same, flipped) / total : 0;
+    }
+
+    /**
+     * Delaunay triangulation of the key landmarks
+     * @param {number[][]} landmarks - Landmarks in output pixels (missing points may be null)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {number[][]} Triangles as [i, j, k] landmark indices
+     */
+    triangulateLandmarks(landmarks, width, height) {
+        const keyPoints = this.keyLandmarkIndices
+            .filter(i => landmarks[i] && landmarks[i][0] !== undefined)
+            .map(i => ({ idx: i, pt: landmarks[i] }));
+
+        const triangles = this.computeDelaunay(keyPoints.map(p => p.pt), width, height);
+
+        // Map triangle indices back to original landmark indices
+        return triangles.map(tri => [
+            keyPoints[tri[0]].idx,
+            keyPoints[tri[1]].idx,
+            keyPoints[tri[2]].idx
+        ]);
+    }
+
+    /**
+     * Assemble a prepared target from output-size landmarks and pixels.
+     * Keeps the target-side vertices per triangle, skipping degenerate
+     * target triangles up front. With `boundary` the mesh is extended by
+     * the hull-to-ring strip.
+     */
+    buildPrepared(scaledLandmarks, triangles, scaledData, boundary = null) {
+        const meshLandmarks = boundary
+            ? this.addBoundaryPoints(scaledLandmarks, scaledData.width, scaledData.height, boundary)
+            : scaledLandmarks;
+        const meshTriangles = boundary ? [...triangles, ...this.boundaryTriangles] : triangles;
+
+        const triangleData = [];
+        for (const indices of meshTriangles) {
+            const targetTri = indices.map(i => meshLandmarks[i]);
+            if (targetTri.some(p => !p) || this.triangleArea(targetTri) < 1.0) continue;
+
+            triangleData.push({ indices, targetTri });
+        }
+
+        return {
+            width: scaledData.width,
+            height: scaledData.height,
+            scaledLandmarks,      // Face landmarks only (alignment, shape)
+            boundary,             // Outer ring extents the mesh was built with (or null)
+            triangles: triangleData.map(t => t.indices),
+            triangleData,
+            scaledData
+        };
+    }
+
+    /**
+     * ========================================================================
+     * BOUNDARY POINTS - Extend the mesh past the face contour
+     * ========================================================================
+     * Appends the outer ring and the frame anchors to a landmark set (see
+     * the constructor for the layout). Computed the same way for camera and
+     * target faces, so ring point i always sits at the same place relative
+     * to the face: the target's hair lands where the camera face's hair is.
+     *
+     * Each hull point is pushed away from the face center, by a fraction of
+     * the face height (forehead 10 to chin 152) that depends on direction
+     * in the face's own frame (so a tilted head keeps its hair on top):
+     *
+     *     extent = sides + (top - sides) * up² + (bottom - sides) * down²
+     *
+     * Ring points are kept inside the frame.
+     *
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} boundary - Ring extents as fractions of the face height
+     * @param {number} boundary.top - Above the forehead (hair)
+     * @param {number} boundary.sides - Beside the cheeks (ears, side hair)
+     * @param {number} boundary.bottom - Below the chin (neck)
+     * @returns {number[][]} New array: landmarks, outer ring, frame anchors
+     */
+    addBoundaryPoints(landmarks, width, height, boundary) {
+        const { top = 0.5, sides = 0.15, bottom = 0.35 } = boundary;
+        const result = landmarks.slice(0, this.boundaryBaseIndex);
+        while (result.length < this.boundaryBaseIndex) result.push(null);
+
+        const forehead = landmarks[10], chin = landmarks[152];
+        const hull = this.hullIndices.map(i => landmarks[i]);
+        const valid = hull.filter(p => p);
+
+        if (forehead && chin && valid.length >= 3) {
+            let cx = 0, cy = 0;
+            valid.forEach(p => { cx += p[0]; cy += p[1]; });
+            cx /= valid.length;
+            cy /= valid.length;
+
+            // Face "up" direction and size
+            const faceHeight = Math.hypot(forehead[0] - chin[0], forehead[1] - chin[1]) || 1;
+            const upX = (forehead[0] - chin[0]) / faceHeight;
+            const upY = (forehead[1] - chin[1]) / faceHeight;
+
+            for (const p of hull) {
+                if (!p) {
+                    result.push(null);
+                    continue;
+                }
+                const dx = p[0] - cx, dy = p[1] - cy;
+                const dist = Math.hypot(dx, dy) || 1;
+                const cos = (dx * upX + dy * upY) / dist;
+                const up = Math.max(0, cos), down = Math.max(0, -cos);
+                const extent = faceHeight * (sides + (top - sides) * up * up + (bottom - sides) * down * down);
+
+                result.push([
+                    Math.min(width - 1, Math.max(0, p[0] + dx / dist * extent)),
+                    Math.min(height - 1, Math.max(0, p[1] + dy / dist * extent))
+                ]);
+            }
+        } else {
+            hull.forEach(() => result.push(null));
+        }
+
+        // Frame anchors: corners and edge midpoints, clockwise from top-left
+        const w = width - 1, h = height - 1;
+        result.push([0, 0], [w / 2, 0], [w, 0], [w, h / 2], [w, h], [w / 2, h], [0, h], [0, h / 2]);
+
+        return result;
+    }
+
+    /**
+     * Triangles between the outer ring and the frame anchors.
+     * Delaunay triangulation of ring + anchors, minus the triangles inside
+     * the ring (that area is covered by the face mesh and the strip).
+     * Built from the mesh it is used on (the destination), so it cannot fold.
+     * @param {number[][]} landmarks - Landmarks with boundary points
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {number[][]} Triangles as landmark index triples
+     */
+    getFrameTriangles(landmarks, width, height) {
+        const ring = this.ringIndices.map(i => landmarks[i]);
+        if (ring.some(p => !p)) return [];
+
+        const indices = [...this.ringIndices, ...this.anchorIndices];
+        const triangles = this.computeDelaunay(indices.map(i => landmarks[i]), width, height);
+
+        return triangles
+            .map(tri => tri.map(k => indices[k]))
+            .filter(tri => {
+                const cx = (landmarks[tri[0]][0] + landmarks[tri[1]][0] + landmarks[tri[2]][0]) / 3;
+                const cy = (landmarks[tri[0]][1] + landmarks[tri[1]][1] + landmarks[tri[2]][1]) / 3;
+                return !this.isPointInPolygon(cx, cy, ring);
+            });
+    }
+
+    /**
+     * Even-odd point in polygon test
+     * @param {number[][]} polygon - Vertices in order
+     */
+    isPointInPolygon(px, py, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i], [xj, yj] = polygon[j];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Prepare a face from the camera frame itself as a morph target (face swap).
+     * Unlike prepareTarget() nothing is rescaled: the frame already has the
+     * output size. Cheap enough to call every frame.
+     * @param {ImageData} frameData - Camera frame holding the face
+     * @param {number[][]} landmarks - That face's landmarks in frame pixels
+     * @param {*} sourceId - Which face this is (keys the fallback triangulation)
+     * @returns {Object|null} Prepared target, or null if landmarks are invalid
+     */
+    prepareLiveTarget(frameData, landmarks, sourceId) {
+        if (!landmarks || landmarks.length < 400) {
+            console.error('[MorphEngine] Invalid live landmarks:', landmarks?.length);
+            return null;
+        }
+
+        // Camera landmarks always follow FaceMesh, so the canonical mesh fits
+        if (this.canonicalTriangles && this.selectTopology(landmarks, 'canonical') === 'canonical') {
+            const prepared = this.buildPrepared(landmarks, this.canonicalTriangles, frameData);
+            prepared.topology = 'canonical';
+            return prepared;
+        }
+
+        let triangles = this.liveTriangles.get(sourceId);
+        if (!triangles) {
+            triangles = this.triangulateLandmarks(landmarks, frameData.width, frameData.height);
+            this.liveTriangles.set(sourceId, triangles);
+        }
+
+        const prepared = this.buildPrepared(landmarks, triangles, frameData);
+        prepared.topology = 'delaunay';
+        return prepared;
+    }
+
+    /**
+     * Forget the fallback triangulations of live faces (the swapped faces changed)
+     */
+    clearLive() {
+        this.liveTriangles.clear();
+    }
+
+    /**
+     * ========================================================================
+     * MIX TARGETS - Weighted blend of several target faces
+     * ========================================================================
+     * Builds one synthetic target ("50% Salah, 50% Ronaldo") from 2-4 targets:
+     *
+     * 1. Align every target's landmarks onto the first one (similarity)
+     * 2. Weighted mean of the aligned landmarks = the mix geometry
+     * 3. Warp every target image into the mix geometry: face mesh, outer
+     *    ring and frame, so hair and background are mixed along with the face
+     * 4. Blend the warped images by weight
+     *
+     * The result is an ordinary target (image + landmarks) that goes through
+     * prepareTarget() / morphPrepared() like any other. With equal weights
+     * over a whole category it is that category's "average face".
+     *
+     * @param {Object[]} sources - { imageData, landmarks } per target (landmarks in its image pixels)
+     * @param {number[]} weights - Weight per target (normalized here)
+     * @param {Object} options
+     * @param {number} options.maxSize - Longest side of the mixed image in pixels
+     * @param {string} options.sampling - Warp sampling mode
+     * @returns {Object|null} { imageData, landmarks }, or null if any landmarks are invalid
+     */
+    mixTargets(sources, weights, { maxSize = 720, sampling = 'bilinear' } = {}) {
+        if (sources.length === 0) return null;
+        for (const source of sources) {
+            if (!source.landmarks || source.landmarks.length < 400) {
+                console.error('[MorphEngine] Invalid mix landmarks:', source.landmarks?.length);
+                return null;
+            }
+        }
+
+        // Normalized weights (all equal if none is positive)
+        const raw = sources.map((_, k) => Math.max(0, weights[k] || 0));
+        const total = raw.reduce((sum, w) => sum + w, 0);
+        const w = raw.map(v => total > 0 ? v / total : 1 / sources.length);
+
+        // ====================================================================
+        // STEP 1-2: MEAN GEOMETRY in the first target's frame
+        // ====================================================================
+        const ref = sources[0];
+        const scale = Math.min(1, maxSize / Math.max(ref.imageData.width, ref.imageData.height));
+        const width = Math.round(ref.imageData.width * scale);
+        const height = Math.round(ref.imageData.height * scale);
+
+        const refLandmarks = ref.landmarks.map(p => p && p[0] !== undefined ? [p[0] * scale, p[1] * scale] : null);
+        const aligned = sources.map(source => this.alignLandmarks(refLandmarks, source.landmarks));
+
+        const count = Math.min(...sources.map(source => source.landmarks.length));
+        const landmarks = [];
+        for (let i = 0; i < count; i++) {
+            let x = 0, y = 0, sum = 0;
+            aligned.forEach((points, k) => {
+                const p = points[i];
+                if (!p || p[0] === undefined) return;
+                x += p[0] * w[k];
+                y += p[1] * w[k];
+                sum += w[k];
+            });
+            landmarks.push(sum > 0 ? [x / sum, y / sum] : null);
+        }
+
+        // Canonical mesh only if it fits every target (and the mean)
+        const canonical = [landmarks, ...sources.map(source => source.landmarks)]
+            .every(points => this.selectTopology(points, 'auto') === 'canonical');
+        const faceTriangles = canonical ? this.canonicalTriangles : this.triangulateLandmarks(landmarks, width, height);
+
+        // Whole-frame mesh: face, hull-to-ring strip, ring-to-frame band
+        const meshLandmarks = this.addBoundaryPoints(landmarks, width, height, {});
+        const triangles = [
+            ...faceTriangles,
+            ...this.boundaryTriangles,
+            ...this.getFrameTriangles(meshLandmarks, width, height)
+        ];
+
+        // ====================================================================
+        // STEP 3-4: WARP EVERY TARGET INTO THE MIX AND BLEND BY WEIGHT
+        // ====================================================================
+        const size = width * height;
+        const accum = new Float32Array(size * 3);
+        const coverage = new Float32Array(size);
+
+        sources.forEach((source, k) => {
+            const sourceMesh = this.addBoundaryPoints(source.landmarks,
+                source.imageData.width, source.imageData.height, {});
+            const warped = new ImageData(width, height);
+
+            for (const [i, j, l] of triangles) {
+                const fromTri = [sourceMesh[i], sourceMesh[j], sourceMesh[l]];
+                const toTri = [meshLandmarks[i], meshLandmarks[j], meshLandmarks[l]];
+                if (fromTri.some(p => !p) || toTri.some(p => !p)) continue;
+                if (this.triangleArea(toTri) < 1.0) continue;
+                this.warpTriangle(source.imageData, warped, fromTri, toTri, sampling);
+            }
+
+            for (let p = 0; p < size; p++) {
+                if (warped.data[p * 4 + 3] === 0) continue;
+                accum[p * 3] += warped.data[p * 4] * w[k];
+                accum[p * 3 + 1] += warped.data[p * 4 + 1] * w[k];
+                accum[p * 3 + 2] += warped.data[p * 4 + 2] * w[k];
+                coverage[p] += w[k];
+            }
+        });
+
+        // Pixels no triangle reached (the frame's last row/column) copy
+        // their left or upper neighbour
+        const imageData = new ImageData(width, height);
+        const out = imageData.data;
+        for (let p = 0; p < size; p++) {
+            const c = coverage[p];
+            if (c > 0) {
+                out[p * 4] = Math.round(accum[p * 3] / c);
+                out[p * 4 + 1] = Math.round(accum[p * 3 + 1] / c);
+                out[p * 4 + 2] = Math.round(accum[p * 3 + 2] / c);
+            } else if (p > 0) {
+                const q = p % width > 0 ? p - 1 : p - width;
+                if (q >= 0) {
+                    out[p * 4] = out[q * 4];
+                    out[p * 4 + 1] = out[q * 4 + 1];
+                    out[p * 4 + 2] = out[q * 4 + 2];
+                }
+            }
+            out[p * 4 + 3] = 255;
+        }
+
+        return { imageData, landmarks };
+    }
+
+    /**
+     * ========================================================================
+     * CARICATURE - Exaggerate how a face differs from the average face
+     * ========================================================================
+     * No target image: the camera frame is warped onto itself.
+     *
+     * 1. Fit the mean face (mean-face.js) onto the camera landmarks with a
+     *    similarity transform, so position, size and roll do not count as
+     *    "distinctive". Head yaw/pitch foreshorten the frontal mean face
+     *    first (x by cos(yaw), y by cos(pitch)), so a turned head is not
+     *    read as a narrow face.
+     * 2. Deviation = camera point - fitted mean point
+     * 3. Destination = fitted mean + deviation * factor
+     *
+     *    factor > 1: caricature, factor = 1: own face,
+     *    0 < factor < 1: towards the average face
+     *
+     * The frame is then warped from the camera mesh into the exaggerated
+     * mesh, outer ring and frame anchors included, so hair and background
+     * follow the face outline.
+     */
+
+    /**
+     * Exaggerated landmarks for a face
+     * @param {number[][]} landmarks - Camera landmarks in pixels
+     * @param {number} factor - Deviation multiplier (1 = unchanged)
+     * @param {Object} pose - Head pose ({ yaw, pitch } in radians), or null
+     * @returns {number[][]} New landmarks (points without a mean counterpart, e.g. irises, unchanged)
+     */
+    caricatureLandmarks(landmarks, factor, pose = null) {
+        const a = landmarks[33], b = landmarks[263], c = landmarks[152];
+        if (!this.meanFace || !a || !b || !c) return landmarks;
+
+        // The mean face is unmirrored; a selfie view shows the face mirrored,
+        // which the similarity fit cannot express
+        const mean = this.meanFace;
+        const mirrored = Math.sign(this.orient(a, b, c)) !== Math.sign(this.orient(mean[33], mean[263], mean[152]));
+
+        const sx = pose ? Math.max(0.3, Math.cos(pose.yaw)) : 1;
+        const sy = pose ? Math.max(0.3, Math.cos(pose.pitch)) : 1;
+        const reference = landmarks.map((_, i) => {
+            const p = mean[i];
+            return p ? [(mirrored ? -p[0] : p[0]) * sx, p[1] * sy] : null;
+        });
+        const fitted = this.alignLandmarks(landmarks, reference);
+
+        return landmarks.map((p, i) => {
+            const q = fitted[i];
+            if (!p || !q) return p;
+            return [q[0] + (p[0] - q[0]) * factor, q[1] + (p[1] - q[1]) * factor];
+        });
+    }
+
+    /**
+     * Warp one face of the frame into its caricature
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {number[][]} landmarks - That face's landmarks in pixels
+     * @param {number} strength - Factor at full amount (see caricatureLandmarks)
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {Object} options
+     * @param {number} options.textureAmount - 0-1, eases the factor from 1 to `strength` (default 1)
+     * @param {Object} options.pose - Head pose ({ yaw, pitch }), or null
+     * @param {string} options.sampling - Warp sampling mode
+     * @param {Object} options.boundary - Outer ring extents (see addBoundaryPoints)
+     */
+    caricatureFace(srcImageData, landmarks, strength, outputData, options = {}) {
+        const { textureAmount = 1, pose = null, sampling = 'bilinear', boundary = {} } = options;
+        const factor = 1 + (strength - 1) * textureAmount;
+
+        if (Math.abs(factor - 1) <= 0.01) {
+            this.copyImageData(srcImageData, outputData);
+            return;
+        }
+        this.warpFaceOntoItself(srcImageData, landmarks, this.caricatureLandmarks(landmarks, factor, pose),
+            outputData, sampling, boundary);
+    }
+
+    /**
+     * Warp the frame so one face moves from its landmarks onto new ones.
+     * The face mesh, outer ring and frame anchors are all warped, so the
+     * surroundings stretch smoothly and the frame edges stay put.
+     * Used by the caricature, symmetry and reshape filters.
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @param {number[][]} dstLandmarks - Where those landmarks should end up
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {string} sampling - Warp sampling mode
+     * @param {Object} boundary - Outer ring extents (see addBoundaryPoints)
+     */
+    warpFaceOntoItself(srcImageData, landmarks, dstLandmarks, outputData, sampling, boundary) {
+        const prepared = this.prepareLiveTarget(srcImageData, landmarks);
+        if (!prepared) {
+            this.copyImageData(srcImageData, outputData);
+            return;
+        }
+
+        const { width, height } = srcImageData;
+        const srcMesh = this.addBoundaryPoints(landmarks, width, height, boundary);
+        const dstMesh = this.addBoundaryPoints(dstLandmarks, width, height, boundary);
+
+        const mesh = { triangles: [...prepared.triangles, ...this.boundaryTriangles], boundary };
+        const result = this.reshapeFrame(srcImageData, mesh, srcMesh, dstMesh, null, sampling);
+        outputData.data.set(result.data);
+    }
+
+    /**
+     * ========================================================================
+     * RESHAPE - Liquify filters from landmark displacements
+     * ========================================================================
+     * Beauty and fun filters (slim jaw, big eyes, ...) defined as data in
+     * reshape-presets.js: groups of landmarks scaled about an origin and/or
+     * shifted, in the face's own frame and relative to the face size.
+     * Stacked presets add their displacements; the frame is then warped
+     * onto the moved landmarks like a caricature.
+     */
+
+    /**
+     * Reshaped landmarks for a face
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @param {Object[]} steps - { preset, intensity } per active preset
+     *                           (preset as in reshape-presets.js, intensity 0-1)
+     * @returns {number[][]} New landmarks
+     */
+    reshapeLandmarks(landmarks, steps) {
+        const right = landmarks[33], left = landmarks[263];
+        const top = landmarks[10], chin = landmarks[152];
+        if (!right || !left || !top || !chin) return landmarks;
+
+        // Face frame: x along the eye line, y towards the chin
+        const eyeDist = Math.hypot(left[0] - right[0], left[1] - right[1]);
+        const faceHeight = Math.hypot(chin[0] - top[0], chin[1] - top[1]);
+        if (eyeDist < 1 || faceHeight < 1) return landmarks;
+        const ux = [(left[0] - right[0]) / eyeDist, (left[1] - right[1]) / eyeDist];
+        let uy = [-ux[1], ux[0]];
+        if (uy[0] * (chin[0] - top[0]) + uy[1] * (chin[1] - top[1]) < 0) uy = [-uy[0], -uy[1]];
+
+        const centroid = indices => {
+            let x = 0, y = 0, n = 0;
+            for (const i of indices) {
+                const p = landmarks[i];
+                if (!p) continue;
+                x += p[0]; y += p[1]; n++;
+            }
+            return n > 0 ? [x / n, y / n] : null;
+        };
+
+        // Displacements are computed on the original landmarks and summed
+        const shift = landmarks.map(() => [0, 0]);
+        for (const { preset, intensity } of steps) {
+            if (!intensity) continue;
+            for (const group of preset.groups) {
+                const origin = centroid(group.origin || group.indices);
+                if (!origin) continue;
+
+                const [sx, sy] = group.scale || [1, 1];
+                const [ox, oy] = group.offset || [0, 0];
+                const kx = (sx - 1) * intensity, ky = (sy - 1) * intensity;
+                const dx = ox * faceHeight * intensity, dy = oy * faceHeight * intensity;
+
+                // The group moves fully; other landmarks follow with a weight
+                // fading to 0 at `falloff` face heights from the group, so
+                // neighbouring triangles stretch instead of folding over
+                const members = group.indices.map(i => landmarks[i]).filter(p => p);
+                const reach = (group.falloff !== undefined ? group.falloff : 0.1) * faceHeight;
+                const inGroup = new Set(group.indices);
+
+                landmarks.forEach((p, i) => {
+                    if (!p) return;
+                    let weight = 1;
+                    if (!inGroup.has(i)) {
+                        if (reach <= 0) return;
+                        let nearest = Infinity;
+                        for (const q of members) nearest = Math.min(nearest, Math.hypot(p[0] - q[0], p[1] - q[1]));
+                        if (nearest >= reach) return;
+                        weight = (1 - nearest / reach) ** 2;
+                    }
+
+                    const lx = (p[0] - origin[0]) * ux[0] + (p[1] - origin[1]) * ux[1];
+                    const ly = (p[0] - origin[0]) * uy[0] + (p[1] - origin[1]) * uy[1];
+                    const mx = (lx * kx + dx) * weight, my = (ly * ky + dy) * weight;
+                    shift[i][0] += mx * ux[0] + my * uy[0];
+                    shift[i][1] += mx * ux[1] + my * uy[1];
+                });
+            }
+        }
+
+        return landmarks.map((p, i) => p ? [p[0] + shift[i][0], p[1] + shift[i][1]] : p);
+    }
+
+    /**
+     * Warp one face of the frame through a stack of reshape presets
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {number[][]} landmarks - That face's landmarks in pixels
+     * @param {Object[]} steps - { preset, intensity } per active preset
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {Object} options
+     * @param {number} options.textureAmount - 0-1, scales every intensity (pose fade; default 1)
+     * @param {string} options.sampling - Warp sampling mode
+     * @param {Object} options.boundary - Outer ring extents (see addBoundaryPoints)
+     */
+    reshapeFace(srcImageData, landmarks, steps, outputData, options = {}) {
+        const { textureAmount = 1, sampling = 'bilinear', boundary = {} } = options;
+        const scaled = steps.map(({ preset, intensity }) => ({ preset, intensity: intensity * textureAmount }));
+
+        if (!scaled.some(step => step.intensity > 0.01)) {
+            this.copyImageData(srcImageData, outputData);
+            return;
+        }
+        this.warpFaceOntoItself(srcImageData, landmarks, this.reshapeLandmarks(landmarks, scaled),
+            outputData, sampling, boundary);
+    }
+
+    /**
+     * ========================================================================
+     * SYMMETRY - A perfectly symmetric face from one half of the live face
+     * ========================================================================
+     * 1. Fit the face's mirror axis: least-squares line through the
+     *    forehead, nose bridge and chin landmarks (symmetryAxisIndices)
+     * 2. Destination geometry: the kept half stays where it is, every
+     *    landmark of the other half moves onto the reflection of its
+     *    counterpart (FACE_MESH_MIRROR_PAIRS), midline points onto the axis
+     * 3. Warp the frame into that geometry, so the face outline, hair and
+     *    neck on the replaced side follow the mirrored outline
+     * 4. Reflect the warped frame across the axis and lay it over the
+     *    replaced half, inside the face mask only (the background is not
+     *    mirrored):
+     *    - feather: cross-fade in a narrow band centred on the axis
+     *    - seamless: Poisson clone of the replaced half (snapshots)
+     *
+     *         kept | replaced          side = which half of the SUBJECT is
+     *          ◉   |   ◉  ← mirrored   kept ('left': the 263 eye)
+     *              |
+     *
+     * The destination landmarks are symmetric by construction, so the face
+     * mask built from them should be too, which makes this a handy test
+     * input for createFaceMask().
+     */
+
+    /**
+     * Mirror axis of a face
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @returns {Object|null} { center, normal }: a point on the axis and the
+     *                        unit normal, or null if the landmarks are missing
+     */
+    symmetryAxis(landmarks) {
+        const points = this.symmetryAxisIndices.map(i => landmarks[i]).filter(p => p);
+        if (points.length < 2) return null;
+
+        let cx = 0, cy = 0;
+        for (const [x, y] of points) { cx += x; cy += y; }
+        cx /= points.length;
+        cy /= points.length;
+
+        // Principal direction of the points (orientation of the 2x2 covariance)
+        let sxx = 0, syy = 0, sxy = 0;
+        for (const [x, y] of points) {
+            sxx += (x - cx) * (x - cx);
+            syy += (y - cy) * (y - cy);
+            sxy += (x - cx) * (y - cy);
+        }
+        if (sxx + syy < 1) return null;
+        const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+
+        return { center: [cx, cy], normal: [-Math.sin(angle), Math.cos(angle)] };
+    }
+
+    /**
+     * Reflect a point across a mirror axis
+     * @param {number[]} p - Point [x, y]
+     * @param {Object} axis - Result of symmetryAxis()
+     * @returns {number[]} Reflected point
+     */
+    reflectPoint(p, axis) {
+        const { center, normal } = axis;
+        const d = 2 * ((p[0] - center[0]) * normal[0] + (p[1] - center[1]) * normal[1]);
+        return [p[0] - d * normal[0], p[1] - d * normal[1]];
+    }
+
+    /**
+     * Symmetric landmarks built from one half of a face
+     * @param {number[][]} landmarks - Face landmarks in pixels
+     * @param {string} side - Half to keep: 'left' or 'right' (the subject's own sides)
+     * @param {Object} axis - Mirror axis (default: fitted with symmetryAxis())
+     * @returns {number[][]|null} New landmarks, or null without pair table or axis
+     */
+    symmetryLandmarks(landmarks, side, axis = this.symmetryAxis(landmarks)) {
+        if (!this.mirrorPairs || !axis) return null;
+
+        const result = landmarks.map(p => p ? [p[0], p[1]] : p);
+        for (const [right, left] of this.mirrorPairs) {
+            const [keep, replace] = side === 'left' ? [left, right] : [right, left];
+            if (replace < result.length && landmarks[keep]) result[replace] = this.reflectPoint(landmarks[keep], axis);
+        }
+
+        // Midline points onto the axis (halfway to their own reflection)
+        for (const i of this.midlineIndices) {
+            const p = landmarks[i];
+            if (!p) continue;
+            const q = this.reflectPoint(p, axis);
+            result[i] = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+        }
+        return result;
+    }
+
+    /**
+     * Make one face of the frame symmetric
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {number[][]} landmarks - That face's landmarks in pixels
+     * @param {string} side - Half to keep: 'left' or 'right' (see symmetryLandmarks)
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {Object} options
+     * @param {number} options.textureAmount - 0-1, fades from the camera frame to the
+     *                                         symmetric face (default 1)
+     * @param {string} options.blendMode - 'seamless' for a Poisson clone of the mirrored
+     *                                     half, anything else cross-fades at the axis
+     * @param {number} options.seamlessIterations - Solver sweeps for 'seamless' mode
+     * @param {string} options.sampling - Warp sampling mode
+     * @param {Object} options.boundary - Outer ring extents (see addBoundaryPoints)
+     */
+    symmetryFace(srcImageData, landmarks, side, outputData, options = {}) {
+        const {
+            textureAmount = 1,
+            blendMode = 'feather',
+            seamlessIterations = 200,
+            sampling = 'bilinear',
+            boundary = {}
+        } = options;
+        const { width, height } = srcImageData;
+
+        const axis = textureAmount > 0.01 ? this.symmetryAxis(landmarks) : null;
+        const dstLandmarks = axis ? this.symmetryLandmarks(landmarks, side, axis) : null;
+        const kept = dstLandmarks && dstLandmarks[side === 'left' ? 263 : 33];
+        const mask = kept ? this.createFaceMask(dstLandmarks, width, height) : null;
+        if (!mask) {
+            this.copyImageData(srcImageData, outputData);
+            return;
+        }
+
+        const warped = new ImageData(width, height);
+        this.warpFaceOntoItself(srcImageData, landmarks, dstLandmarks, warped, sampling, boundary);
+
+        // The warped frame reflected across the axis
+        const mirrored = new ImageData(width, height);
+        const sample = sampling === 'nearest' ? this.sampleNearest : this.sampleBilinear;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = (y * width + x) * 4;
+                const [mx, my] = this.reflectPoint([x, y], axis);
+                if (mx >= 0 && my >= 0 && mx <= width - 1 && my <= height - 1) {
+                    sample.call(this, warped, mx, my, mirrored.data, idx);
+                } else {
+                    mirrored.data.set(warped.data.subarray(idx, idx + 3), idx);
+                }
+                mirrored.data[idx + 3] = 255;
+            }
+        }
+
+        // Signed distance from the axis, positive on the kept half
+        const { center, normal } = axis;
+        const keptSign = Math.sign((kept[0] - center[0]) * normal[0] + (kept[1] - center[1]) * normal[1]) || 1;
+        const distance = (x, y) => ((x - center[0]) * normal[0] + (y - center[1]) * normal[1]) * keptSign;
+
+        // Weight of the mirrored half per pixel
+        const weight = new Float32Array(width * height);
+        if (blendMode === 'seamless') {
+            const region = new Uint8Array(width * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = y * width + x;
+                    region[p] = distance(x, y) < 0 && mask.data[p * 4] > 127 ? 1 : 0;
+                }
+            }
+            const cloned = this.seamlessClone(warped, mirrored, region, width, height, seamlessIterations);
+            mirrored.data.set(cloned.data);
+            for (let p = 0; p < region.length; p++) weight[p] = region[p];
+        } else {
+            // Band of a tenth of the eye distance; smoothstep(-s) = 1 - smoothstep(s),
+            // so the two halves stay exact mirror images inside the band too
+            const a = landmarks[33], b = landmarks[263];
+            const band = Math.max(2, (a && b ? Math.hypot(b[0] - a[0], b[1] - a[1]) : width / 8) * 0.1);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = y * width + x;
+                    const t = Math.max(0, Math.min(1, (band - distance(x, y)) / (2 * band)));
+                    weight[p] = t * t * (3 - 2 * t) * mask.data[p * 4] / 255;
+                }
+            }
+        }
+
+        // Symmetric face, faded in over the camera frame by textureAmount
+        const src = srcImageData.data, out = outputData.data;
+        for (let p = 0; p < weight.length; p++) {
+            const i = p * 4;
+            const w = weight[p];
+            for (let ch = 0; ch < 3; ch++) {
+                const value = warped.data[i + ch] * (1 - w) + mirrored.data[i + ch] * w;
+                out[i + ch] = Math.round(src[i + ch] + (value - src[i + ch]) * textureAmount);
+            }
+            out[i + 3] = 255;
+        }
+    }
+
+    /**
+     * Rescale ImageData to a new size using a canvas
+     * @param {ImageData} imageData - Source pixels
+     * @param {number} width - New width
+     * @param {number} height - New height
+     * @returns {ImageData} Rescaled pixels
+     */
+    scaleImageData(imageData, width, height) {
+        const srcCanvas = this.createCanvas(imageData.width, imageData.height);
+        srcCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        const dstCanvas = this.createCanvas(width, height);
+        const dstCtx = dstCanvas.getContext('2d');
+        dstCtx.drawImage(srcCanvas, 0, 0, width, height);
+
+        return dstCtx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Absolute area (x2) of a triangle, used to skip degenerate triangles
+     * @param {number[][]} tri - Triangle [[x0,y0], [x1,y1], [x2,y2]]
+     * @returns {number} Twice the unsigned area
+     */
+    triangleArea(tri) {
+        return Math.abs(
+            (tri[1][0] - tri[0][0]) * (tri[2][1] - tri[0][1]) -
+            (tri[2][0] - tri[0][0]) * (tri[1][1] - tri[0][1])
+        );
+    }
+
+    /**
+     * ========================================================================
+     * ALIGN TARGET TO CAMERA (2D similarity / Procrustes)
+     * ========================================================================
+     * Finds the rotation, uniform scale and translation that best maps the
+     * target landmarks onto the camera landmarks (least squares), so that
+     * geometry can be interpolated without the face sliding towards where
+     * the target's face sits in its own photo.
+     * 
+     * @param {number[][]} srcLandmarks - Camera landmarks
+     * @param {number[][]} targetLandmarks - Target landmarks (scaled to frame size)
+     * @returns {(number[]|null)[]} Target landmarks in camera position/scale/rotation
+     */
+    alignLandmarks(srcLandmarks, targetLandmarks) {
+        const pairs = [];
+        for (const i of this.keyLandmarkIndices) {
+            const a = targetLandmarks[i], b = srcLandmarks[i];
+            if (a && b) pairs.push([a, b]);
+        }
+        if (pairs.length < 3) return targetLandmarks;
+
+        // Centroids
+        let tx = 0, ty = 0, sx = 0, sy = 0;
+        for (const [a, b] of pairs) { tx += a[0]; ty += a[1]; sx += b[0]; sy += b[1]; }
+        tx /= pairs.length; ty /= pairs.length; sx /= pairs.length; sy /= pairs.length;
+
+        // Closed-form 2D similarity: [c -s; s c] minimizes Σ |R·a - b|²
+        let dot = 0, crs = 0, norm = 0;
+        for (const [a, b] of pairs) {
+            const ax = a[0] - tx, ay = a[1] - ty;
+            const bx = b[0] - sx, by = b[1] - sy;
+            dot += ax * bx + ay * by;
+            crs += ax * by - ay * bx;
+            norm += ax * ax + ay * ay;
+        }
+        if (norm < 1e-6) return targetLandmarks;
+        const c = dot / norm;
+        const sn = crs / norm;
+
+        return targetLandmarks.map(p => {
+            if (!p) return null;
+            const x = p[0] - tx, y = p[1] - ty;
+            return [c * x - sn * y + sx, sn * x + c * y + sy];
+        });
+    }
+
+    /**
+     * Destination geometry for a partial shape morph:
+     * camera landmarks moved `amount` of the way towards the (aligned) target
+     * @param {number} amount - 0 = camera shape, 1 = target shape
+     */
+    interpolateLandmarks(srcLandmarks, targetLandmarks, amount) {
+        const aligned = this.alignLandmarks(srcLandmarks, targetLandmarks);
+        return srcLandmarks.map((p, i) => {
+            const q = aligned[i];
+            if (!p || !q) return p;
+            return [p[0] + (q[0] - p[0]) * amount, p[1] + (q[1] - p[1]) * amount];
+        });
+    }
+
+    /**
+     * Warp the camera frame from its own landmarks into a new mesh and
+     * composite the result over the original frame with the face mask.
+     * With boundary points the mesh reaches the frame edges (anchored), so
+     * the warped frame is used as-is: the reshape fades out towards the
+     * edges by itself instead of through the mask.
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {Object} prepared - Prepared target (provides the triangle list)
+     * @param {number[][]} srcLandmarks - Camera landmarks
+     * @param {number[][]} dstLandmarks - Destination mesh
+     * @param {ImageData} mask - Face mask in destination geometry
+     * @param {string} sampling - Warp sampling mode
+     * @returns {ImageData} Reshaped camera frame
+     */
+    reshapeFrame(srcImageData, prepared, srcLandmarks, dstLandmarks, mask, sampling) {
+        const width = srcImageData.width;
+        const height = srcImageData.height;
+        const warped = new ImageData(width, height);
+        const anchored = !!prepared.boundary;
+        const triangles = anchored
+            ? [...prepared.triangles, ...this.getFrameTriangles(dstLandmarks, width, height)]
+            : prepared.triangles;
+
+        for (const [i, j, k] of triangles) {
+            const fromTri = [srcLandmarks[i], srcLandmarks[j], srcLandmarks[k]];
+            const toTri = [dstLandmarks[i], dstLandmarks[j], dstLandmarks[k]];
+            if (!fromTri[0] || !fromTri[1] || !fromTri[2]) continue;
+            if (!toTri[0] || !toTri[1] || !toTri[2]) continue;
+            if (this.triangleArea(fromTri) < 1.0 || this.triangleArea(toTri) < 1.0) continue;
+
+            this.warpTriangle(srcImageData, warped, fromTri, toTri, sampling);
+        }
+
+        // Keep the original frame outside the mesh, fade into the warp with the mask
+        const result = new ImageData(width, height);
+        for (let i = 0; i < result.data.length; i += 4) {
+            const m = warped.data[i + 3] > 0 ? (anchored ? 1 : mask.data[i] / 255) : 0;
+            for (let ch = 0; ch < 3; ch++) {
+                result.data[i + ch] = Math.round(srcImageData.data[i + ch] * (1 - m) + warped.data[i + ch] * m);
+            }
+            result.data[i + 3] = 255;
+        }
+        return result;
+    }
+
+    /**
+     * Copy source pixels to output unchanged (used on invalid input / errors)
+     */
+    copyImageData(srcImageData, outputData) {
+        outputData.data.set(srcImageData.data);
+    }
+
+    /**
+     * Perform face morphing - main function
+     * Convenience wrapper that prepares the target and morphs in one call.
+     * Real-time callers should cache prepareTarget() and use morphPrepared().
+     * @param {boolean} isAnimal - If true, use full opacity for animals
+     * @param {Object} options - See morphPrepared()
+     */
+    morphFace(srcImageData, targetImageData, srcLandmarks, targetLandmarks, alpha, outputData, isAnimal = false, options = {}) {
+        const prepared = this.prepareTarget(targetImageData, targetLandmarks, outputData.width, outputData.height);
+        if (!prepared) {
+            this.copyImageData(srcImageData, outputData);
+            return;
+        }
+        this.morphPrepared(srcImageData, prepared, srcLandmarks, alpha, outputData, isAnimal, options);
+    }
+
+    /**
+     * Morph several faces into one output frame
+     * Faces are composited one after another: each face is morphed on top of
+     * the result of the previous ones.
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {Object[]} faces - One entry per face:
+     *                           { prepared, landmarks, alpha, isAnimal, options },
+     *                           or { caricature, landmarks, options } for caricature
+     *                           mode (see caricatureFace), { symmetry, landmarks,
+     *                           options } for symmetry mode (see symmetryFace), or
+     *                           { reshape, landmarks, options } for reshape filters
+     *                           (see reshapeFace)
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {Object} options - Shared options, merged under each face's own options
+     * @returns {(number|null)[]} Per face, the fraction of flipped triangles
+     *                     (see countFlippedTriangles), for pose-aware fading;
+     *                     null for reshape entries
+     */
+    morphFaces(srcImageData, faces, outputData, options = {}) {
+        if (faces.length === 0) {
+            this.copyImageData(srcImageData, outputData);
+            return [];
+        }
+
+        let current = srcImageData;
+        return faces.map((face, n) => {
+            // Last face writes straight into the output buffer
+            const target = n === faces.length - 1 ? outputData : new ImageData(outputData.width, outputData.height);
+
+            // Caricature faces have no target, the frame is warped onto itself
+            if (face.caricature !== undefined) {
+                this.caricatureFace(current, face.landmarks, face.caricature, target, { ...options, ...face.options });
+                current = target;
+                return 0;
+            }
+
+            // Symmetry mode, likewise without a target
+            if (face.symmetry !== undefined) {
+                this.symmetryFace(current, face.landmarks, face.symmetry, target, { ...options, ...face.options });
+                current = target;
+                return 0;
+            }
+
+            // Reshape filters on top of whatever the face has become (no flip statistic)
+            if (face.reshape !== undefined) {
+                this.reshapeFace(current, face.landmarks, face.reshape, target, { ...options, ...face.options });
+                current = target;
+                return null;
+            }
+
+            this.morphPrepared(current, face.prepared, face.landmarks, face.alpha, target,
+                face.isAnimal, { ...options, ...face.options });
+            current = target;
+
+            return face.prepared ? this.countFlippedTriangles(face.prepared, face.landmarks) : 0;
+        });
+    }
+
+    /**
+     * Per-frame morph using a prepared target
+     * Only warps and blends - all target-side work was done in prepareTarget()
+     * @param {ImageData} srcImageData - Camera frame
+     * @param {Object} prepared - Result of prepareTarget() for this frame size
+     * @param {number[][]} srcLandmarks - Camera landmarks in pixels
+     * @param {number} alpha - Morph amount 0-1
+     * @param {ImageData} outputData - Output buffer (will be overwritten)
+     * @param {boolean} isAnimal - If true, use full opacity for animals
+     * @param {Object} options - Optional rendering settings
+     * @param {string} options.sampling - 'nearest', 'bilinear' (default) or 'bicubic'
+     * @param {string} options.blendMode - 'feather' (default: blurred mask + color
+     *                                     correction), 'seamless' (Poisson clone) or
+     *                                     'frequency' (target detail, camera lighting)
+     * @param {number} options.seamlessIterations - Solver sweeps for 'seamless' mode
+     * @param {number} options.lightingRadius - Blur radius for 'frequency' mode, as a
+     *                                          fraction of the face height (default 0.06)
+     * @param {string} options.colorTransfer - 'lab' (default: regional Reinhard
+     *                                         transfer) or 'mean' (original ratio method)
+     * @param {number} options.colorStrength - Color transfer strength 0-1 (default 0.5)
+     * @param {number} options.shapeAmount - 0 = camera face shape (default), 1 = target proportions
+     * @param {number} options.textureAmount - 0 = camera skin, 1 = target skin (default: alpha)
+     */
+    morphPrepared(srcImageData, prepared, srcLandmarks, alpha, outputData, isAnimal = false, options = {}) {
+        const {
+            sampling = 'bilinear',
+            blendMode = 'feather',
+            seamlessIterations = 200,
+            lightingRadius = 0.06,
+            colorTransfer = 'lab',
+            colorStrength = 0.5,
+            shapeAmount = 0,
+            textureAmount = alpha
+        } = options;
+
+        try {
+            const width = outputData.width;
+            const height = outputData.height;
+
+            // Validate inputs
+            if (!srcLandmarks || srcLandmarks.length < 400) {
+                console.error('[MorphEngine] Invalid source landmarks:', srcLandmarks?.length);
+                this.copyImageData(srcImageData, outputData);
+                return;
+            }
+            if (!prepared || prepared.width !== width || prepared.height !== height) {
+                console.error('[MorphEngine] Prepared target does not match frame size');
+                this.copyImageData(srcImageData, outputData);
+                return;
+            }
+
+            // Initialize output with source
+            this.copyImageData(srcImageData, outputData);
+
+            // ================================================================
+            // SHAPE: destination geometry between camera and target
+            // ================================================================
+            // shapeAmount = 0 keeps the camera face shape (original behaviour),
+            // shapeAmount = 1 uses the target's proportions on the camera face.
+            const reshape = shapeAmount > 0.001;
+            const dstFace = reshape
+                ? this.interpolateLandmarks(srcLandmarks, prepared.scaledLandmarks, shapeAmount)
+                : srcLandmarks;
+
+            // Outer ring (hair, neck) and frame anchors, if the target has them.
+            // Derived from the face landmarks after shaping, never interpolated,
+            // so the anchors stay on the frame edges.
+            const boundary = prepared.boundary;
+            const srcMesh = boundary ? this.addBoundaryPoints(srcLandmarks, width, height, boundary) : srcLandmarks;
+            const dstLandmarks = boundary
+                ? (reshape ? this.addBoundaryPoints(dstFace, width, height, boundary) : srcMesh)
+                : dstFace;
+
+            // Create face mask (in destination geometry)
+            const mask = this.createFaceMask(dstLandmarks, width, height,
+                boundary ? this.ringIndices : this.hullIndices);
+            if (!mask) {
+                console.error('[MorphEngine] Failed to create face mask');
+                return;
+            }
+
+            // Camera frame warped into the destination mesh; from here on it
+            // plays the role of the camera frame for color matching and blending
+            const frameData = reshape
+                ? this.reshapeFrame(srcImageData, prepared, srcMesh, dstLandmarks, mask, sampling)
+                : srcImageData;
+
+            // Create warped image buffer (initialized to transparent)
+            const warpedData = new ImageData(width, height);
+
+            // Warp each triangle from TARGET to DESTINATION position
+            // This is the key: we warp the target image's content into the destination shape
+            for (const { indices, targetTri } of prepared.triangleData) {
+                const [i, j, k] = indices;
+                const srcTri = [dstLandmarks[i], dstLandmarks[j], dstLandmarks[k]];
+
+                // Check for valid points
+                if (!srcTri[0] || !srcTri[1] || !srcTri[2]) continue;
+
+                // Skip degenerate triangles
+                if (this.triangleArea(srcTri) < 1.0) continue;
+
+                // Warp from target to source position
+                this.warpTriangle(prepared.scaledData, warpedData, targetTri, srcTri, sampling);
+            }
+
+            // Detect mouth openness and create mouth interior mask
+            const mouthOpenness = this.detectMouthOpenness(dstLandmarks);
+            const mouthMask = this.createMouthInteriorMask(dstLandmarks, width, height, mouthOpenness);
+
+            // Match the warped face to the camera frame's colors:
+            // - feather: global color correction, soft mask does the rest
+            // - seamless: Poisson clone inside the face region, hard region edge
+            // - frequency: target detail on the camera's lighting, soft mask
+            // The face alone, without the outer ring: color statistics and
+            // relighting are about skin, the ring (hair, neck) keeps the
+            // target's own colors
+            const skinMask = blendMode === 'seamless' ? null
+                : (boundary && this.createFaceMask(dstLandmarks, width, height, this.hullIndices)) || mask;
+
+            let correctedWarpedData;
+            let cloneRegion = null;
+            if (blendMode === 'frequency') {
+                const forehead = dstLandmarks[10], chin = dstLandmarks[152];
+                const faceHeight = forehead && chin ? Math.hypot(chin[0] - forehead[0], chin[1] - forehead[1]) : height / 3;
+                correctedWarpedData = this.frequencySeparation(frameData, warpedData, skinMask, width, height,
+                    Math.max(2, faceHeight * lightingRadius));
+                if (skinMask !== mask) {
+                    // Relit face fades into the plain ring over the face mask's feather
+                    const relit = correctedWarpedData.data, plain = warpedData.data;
+                    for (let i = 0; i < relit.length; i += 4) {
+                        const t = skinMask.data[i] / 255;
+                        for (let ch = 0; ch < 3; ch++) relit[i + ch] = plain[i + ch] + (relit[i + ch] - plain[i + ch]) * t;
+                    }
+                }
+            } else if (blendMode === 'seamless') {
+                cloneRegion = new Uint8Array(width * height);
+                for (let p = 0; p < cloneRegion.length; p++) {
+                    cloneRegion[p] = mask.data[p * 4] > 127 && warpedData.data[p * 4 + 3] > 0 ? 1 : 0;
+                }
+                correctedWarpedData = this.seamlessClone(frameData, warpedData, cloneRegion, width, height, seamlessIterations);
+            } else {
+                // Apply color correction to warped data to match source skin tones
+                correctedWarpedData = colorTransfer === 'mean'
+                    ? this.colorCorrect(frameData, warpedData, skinMask, width, height, colorStrength)
+                    : this.colorTransferLab(frameData, warpedData, skinMask, dstLandmarks, width, height, colorStrength);
+            }
+
+            // Blend (reshaped) camera frame and warped target using mask
+            // TEXTURE: textureAmount takes the place of the old alpha cross-fade
+            for (let i = 0; i < outputData.data.length; i += 4) {
+                const maskValue = mask.data[i] / 255;
+
+                // Calculate blend factor based on category
+                let blendFactor;
+                if (cloneRegion) {
+                    // Seamless: colors already match at the region boundary
+                    blendFactor = cloneRegion[i / 4] ? textureAmount : 0;
+                } else if (isAnimal) {
+                    // For animals: use full opacity in masked area
+                    // No transparency - if mask > 0.1, show full morph
+                    blendFactor = maskValue > 0.1 ? textureAmount : 0;
+                } else if (textureAmount > 0.95) {
+                    // At 100% for humans: boost entire masked area
+                    blendFactor = Math.sqrt(maskValue) * textureAmount;
+                } else {
+                    // Normal blend for lower percentages
+                    blendFactor = maskValue * textureAmount;
+                }
+
+                // Check if this pixel is inside the mouth opening (for teeth preservation)
+                let mouthFactor = 0;
+                if (mouthMask && !isAnimal) {
+                    mouthFactor = mouthMask.data[i] / 255;
+                }
+
+                // Only blend if we have valid warped data (alpha > 0)
+                const hasWarpedPixel = warpedData.data[i + 3] > 0;
+
+                for (let ch = 0; ch < 3; ch++) {
+                    if (hasWarpedPixel && blendFactor > 0.01) {
+                        // Calculate the morphed pixel
+                        const morphedPixel = frameData.data[i + ch] * (1 - blendFactor) +
+                            correctedWarpedData.data[i + ch] * blendFactor;
+
+                        // If mouth is open and this is inside the mouth, blend back to source (show teeth)
+                        if (mouthFactor > 0.1) {
+                            // Inside mouth opening: blend back towards source to show teeth
+                            outputData.data[i + ch] = Math.round(
+                                morphedPixel * (1 - mouthFactor) +
+                                frameData.data[i + ch] * mouthFactor
+                            );
+                        } else {
+                            outputData.data[i + ch] = Math.round(morphedPixel);
+                        }
+                    } else {
+                        // Keep source pixel if no warped data or very low blend
+                        outputData.data[i + ch] = frameData.data[i + ch];
+                    }
+                }
+                outputData.data[i + 3] = 255;
+            }
+        } catch (error) {
+            console.error('[MorphEngine] Error in morphFace:', error);
+            // On error, copy source to output
+            this.copyImageData(srcImageData, outputData);
+        }
     }
 }
 
-// Export for use in app.js
-window.MorphEngine = MorphEngine;
+/**
+ * Pack [x, y] landmarks into a flat Float32Array so they can be posted to
+ * (and from) the morph worker as a transferable buffer.
+ * Missing points are stored as NaN.
+ * @param {(number[]|null)[]} landmarks - Landmarks as [x, y] pairs
+ * @returns {Float32Array} [x0, y0, x1, y1, ...]
+ */
+MorphEngine.packLandmarks = function (landmarks) {
+    const packed = new Float32Array(landmarks.length * 2);
+    landmarks.forEach((p, i) => {
+        const valid = p && typeof p[0] === 'number';
+        packed[i * 2] = valid ? p[0] : NaN;
+        packed[i * 2 + 1] = valid ? p[1] : NaN;
+    });
+    return packed;
+};
+
+/**
+ * Inverse of packLandmarks()
+ * @param {Float32Array} packed - [x0, y0, x1, y1, ...]
+ * @returns {(number[]|null)[]} Landmarks as [x, y] pairs (null where missing)
+ */
+MorphEngine.unpackLandmarks = function (packed) {
+    const landmarks = new Array(packed.length / 2);
+    for (let i = 0; i < landmarks.length; i++) {
+        const x = packed[i * 2], y = packed[i * 2 + 1];
+        landmarks[i] = Number.isNaN(x) || Number.isNaN(y) ? null : [x, y];
+    }
+    return landmarks;
+};
+
+// Export for use in app.js (window) and morph-worker.js (worker global)
+self.MorphEngine = MorphEngine;
@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * MORPH FADE - Pose-aware morph fade-out at extreme head angles
+ * ============================================================================
+ *
+ * Target images are frontal. Past roughly 40° of head turn the frontal
+ * texture no longer fits the camera mesh: triangles on the far side of the
+ * face collapse or fold over, and the morph turns into smeared triangles and
+ * a ghost face. Instead the morph fades out while the head is turned and
+ * comes back when the user faces the camera again.
+ *
+ * SIGNALS:
+ * --------
+ * Each signal maps onto a severity 0..1 with a smooth (smoothstep) ramp
+ * between its start and end thresholds; the strongest one wins:
+ * - |yaw| and |pitch| from the head pose (see head-pose.js)
+ * - Fraction of mesh triangles whose orientation flipped between the target
+ *   and the camera landmarks (reported by MorphEngine.morphFaces())
+ *
+ * NO FLICKER:
+ * -----------
+ * - Hysteresis: once the morph is fading, every ramp moves down by
+ *   `hysteresis` (a fraction of its width), so the head has to turn back
+ *   further than where the fade started before the morph returns
+ * - The amount moves towards its goal at most 1/fadeSeconds per second
+ */
+
+class MorphFade {
+    /**
+     * @param {Object} options - Fade parameters (see header)
+     * @param {boolean} options.enabled - False keeps the amount at 1
+     * @param {number} options.yawStart - |yaw| in degrees where fading starts
+     * @param {number} options.yawEnd - |yaw| in degrees where the morph is gone
+     * @param {number} options.pitchStart - |pitch| in degrees where fading starts
+     * @param {number} options.pitchEnd - |pitch| in degrees where the morph is gone
+     * @param {number} options.flipStart - Flipped triangle fraction where fading starts
+     * @param {number} options.flipEnd - Flipped triangle fraction where the morph is gone
+     * @param {number} options.hysteresis - Ramp shift while fading, as a fraction of the ramp width
+     * @param {number} options.fadeSeconds - Time for a full fade out or in
+     */
+    constructor(options = {}) {
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * Update fade parameters (takes effect on the next frame)
+     */
+    configure({
+        enabled = true,
+        yawStart = 35, yawEnd = 50,
+        pitchStart = 25, pitchEnd = 40,
+        flipStart = 0.12, flipEnd = 0.25,
+        hysteresis = 0.3,
+        fadeSeconds = 0.3
+    } = {}) {
+        this.enabled = enabled;
+        this.yawStart = yawStart;
+        this.yawEnd = yawEnd;
+        this.pitchStart = pitchStart;
+        this.pitchEnd = pitchEnd;
+        this.flipStart = flipStart;
+        this.flipEnd = flipEnd;
+        this.hysteresis = hysteresis;
+        this.fadeSeconds = fadeSeconds;
+    }
+
+    /**
+     * Back to a full morph with no history
+     */
+    reset() {
+        this.amount = 1;          // Current morph amount multiplier 0-1
+        this.fading = false;      // True while the ramps are shifted down (hysteresis)
+        this.lastTime = null;     // Timestamp (ms) of the last update
+    }
+
+    /**
+     * Smoothstep ramp: 0 below start, 1 above end
+     * While fading, the ramp is shifted down by the hysteresis margin
+     */
+    ramp(value, start, end) {
+        const shift = this.fading ? (end - start) * this.hysteresis : 0;
+        const t = Math.max(0, Math.min(1, (value - start + shift) / (end - start)));
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Advance the fade by one frame
+     * @param {Object|null} pose - Head pose (HeadPoseEstimator.estimate), or null if unknown
+     * @param {number} flippedFraction - Fraction of flipped mesh triangles (0-1)
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {number} Morph amount multiplier 0-1
+     */
+    update(pose, flippedFraction, timestamp) {
+        if (!this.enabled) {
+            this.reset();
+            return this.amount;
+        }
+
+        const degrees = 180 / Math.PI;
+        let severity = this.ramp(flippedFraction, this.flipStart, this.flipEnd);
+        if (pose) {
+            severity = Math.max(severity,
+                this.ramp(Math.abs(pose.yaw) * degrees, this.yawStart, this.yawEnd),
+                this.ramp(Math.abs(pose.pitch) * degrees, this.pitchStart, this.pitchEnd));
+        }
+        const goal = 1 - severity;
+        this.fading = severity > 0;
+
+        // Rate-limited approach to the goal (first frame jumps straight there)
+        if (this.lastTime === null) {
+            this.amount = goal;
+        } else {
+            const dt = Math.max(0, (timestamp - this.lastTime) / 1000);
+            const step = this.fadeSeconds > 0 ? dt / this.fadeSeconds : 1;
+            this.amount += Math.max(-step, Math.min(step, goal - this.amount));
+        }
+        this.lastTime = timestamp;
+
+        return this.amount;
+    }
+}
+
+// Export for use in app.js
+self.MorphFade = MorphFade;
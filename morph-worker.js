@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * MORPH WORKER - Runs the MorphEngine off the main thread
+ * ============================================================================
+ *
+ * Morphing a 1280x720 frame takes tens of milliseconds. Running it inside the
+ * MediaPipe results callback blocks the UI (carousel scrolling, hold-to-record
+ * timer), so the app posts frames here instead.
+ *
+ * MESSAGES IN (from app.js):
+ * --------------------------
+ * - { type: 'target', targetId, pixels, targetWidth, targetHeight,
+ *     landmarks, width, height, mesh }
+ *     Prepare a morph target. `pixels` is the target's RGBA ArrayBuffer,
+ *     `landmarks` a packed Float32Array (see MorphEngine.packLandmarks),
+ *     `mesh` the mesh options ({ topology, boundary }) passed to
+ *     MorphEngine.prepareTarget().
+ *     Several targets can be prepared at once (one per tracked face).
+ * - { type: 'clearTarget', targetId }
+ *     Drop one prepared target (all of them if targetId is undefined).
+ * - { type: 'clearLive' }
+ *     Drop all cached live (face swap) sources.
+ * - { type: 'frame', frameId, sceneId, bitmap, faces, options }
+ *     Morph one camera frame. `bitmap` is an ImageBitmap of the frame.
+ *     `faces` is a list of { faceId, targetId, landmarks, alpha, isAnimal,
+ *     options } with packed camera landmarks per face. Bitmap and landmark buffers
+ *     are transferred. `options` is passed through to
+ *     MorphEngine.morphPrepared() (merged under each face's own options).
+ *     Face swap entries use { sourceId, sourceLandmarks } instead of
+ *     targetId: the source face is taken from this frame at
+ *     `sourceLandmarks` and cached under `sourceId`. With sourceLandmarks =
+ *     null the cached copy is used (the source face has left the frame).
+ *     Caricature entries use { caricature } (the exaggeration factor at full
+ *     amount) instead of a target: the frame is warped onto itself (see
+ *     MorphEngine.caricatureFace). Symmetry entries use { symmetry }, the
+ *     half of the face to keep (see MorphEngine.symmetryFace), and reshape
+ *     entries { reshape }, a list of { preset, intensity } (see
+ *     MorphEngine.reshapeFace).
+ * - { type: 'mix', mixId, sources, weights }
+ *     Mix 2-4 targets into one (MorphEngine.mixTargets). `sources` is a
+ *     list of { imageData, landmarks } (copied, not transferred).
+ *
+ * MESSAGES OUT:
+ * -------------
+ * - { type: 'result', frameId, sceneId, bitmap, faces }
+ *     The composited frame as a transferred ImageBitmap, or bitmap = null if
+ *     no face could be morphed (targets not prepared / size mismatch).
+ *     `faces` lists { faceId, flippedFraction } for every morphed face (see
+ *     MorphEngine.countFlippedTriangles; null for reshape entries).
+ * - { type: 'mixed', mixId, mixed }
+ *     Result of a 'mix' message: { imageData, landmarks }, or null.
+ *
+ * The app keeps at most one frame in flight, so this worker never queues.
+ */
+
+importScripts('face-mesh-tessellation.js', 'mean-face.js', 'morph-engine.js');
+
+const engine = new MorphEngine();
+
+const preparedTargets = new Map();  // targetId → result of engine.prepareTarget()
+const liveTargets = new Map();      // sourceId → result of engine.prepareLiveTarget()
+let frameCanvas = null;             // OffscreenCanvas reused for every frame
+let frameCtx = null;
+
+self.onmessage = (event) => {
+    const msg = event.data;
+
+    switch (msg.type) {
+        case 'target': {
+            const targetData = new ImageData(
+                new Uint8ClampedArray(msg.pixels), msg.targetWidth, msg.targetHeight
+            );
+            const landmarks = MorphEngine.unpackLandmarks(msg.landmarks);
+            const prepared = engine.prepareTarget(targetData, landmarks, msg.width, msg.height, msg.mesh);
+            if (prepared) preparedTargets.set(msg.targetId, prepared);
+            else preparedTargets.delete(msg.targetId);
+            break;
+        }
+        case 'clearTarget':
+            if (msg.targetId === undefined) preparedTargets.clear();
+            else preparedTargets.delete(msg.targetId);
+            break;
+        case 'clearLive':
+            liveTargets.clear();
+            engine.clearLive();
+            break;
+        case 'frame':
+            morphFrame(msg);
+            break;
+        case 'mix':
+            self.postMessage({ type: 'mixed', mixId: msg.mixId, mixed: engine.mixTargets(msg.sources, msg.weights) });
+            break;
+    }
+};
+
+/**
+ * Morph a single frame and post the composited result back
+ */
+function morphFrame(msg) {
+    const { bitmap, frameId, sceneId } = msg;
+    const width = bitmap.width;
+    const height = bitmap.height;
+
+    if (!frameCanvas || frameCanvas.width !== width || frameCanvas.height !== height) {
+        frameCanvas = new OffscreenCanvas(width, height);
+        frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    frameCtx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const srcData = frameCtx.getImageData(0, 0, width, height);
+
+    // Only faces whose target is prepared for this frame size
+    // (caricature, symmetry and reshape entries warp the frame onto itself, no target)
+    const warpsItself = face => face.caricature !== undefined || face.symmetry !== undefined ||
+        face.reshape !== undefined;
+    const faces = msg.faces
+        .map(face => warpsItself(face) ? face : { ...face, prepared: resolveTarget(face, srcData) })
+        .filter(face => warpsItself(face) ||
+            (face.prepared && face.prepared.width === width && face.prepared.height === height));
+
+    if (faces.length === 0) {
+        self.postMessage({ type: 'result', frameId, sceneId, bitmap: null, faces: [] });
+        return;
+    }
+
+    const outputData = new ImageData(width, height);
+
+    const flipped = engine.morphFaces(srcData, faces.map(face => ({
+        prepared: face.prepared,
+        caricature: face.caricature,
+        symmetry: face.symmetry,
+        reshape: face.reshape,
+        landmarks: MorphEngine.unpackLandmarks(face.landmarks),
+        alpha: face.alpha,
+        isAnimal: face.isAnimal,
+        options: face.options
+    })), outputData, msg.options);
+
+    frameCtx.putImageData(outputData, 0, 0);
+    const result = frameCanvas.transferToImageBitmap();
+    const stats = faces.map((face, n) => ({ faceId: face.faceId, flippedFraction: flipped[n] }));
+    self.postMessage({ type: 'result', frameId, sceneId, bitmap: result, faces: stats }, [result]);
+}
+
+/**
+ * Prepared target for one face entry: a prepared target image, or a face
+ * from the frame itself (face swap)
+ */
+function resolveTarget(face, srcData) {
+    if (face.sourceId === undefined) return preparedTargets.get(face.targetId);
+
+    if (face.sourceLandmarks) {
+        const landmarks = MorphEngine.unpackLandmarks(face.sourceLandmarks);
+        liveTargets.set(face.sourceId, engine.prepareLiveTarget(srcData, landmarks, face.sourceId));
+    }
+    return liveTargets.get(face.sourceId);
+}
@@ -0,0 +1,111 @@
+/**
+ * ============================================================================
+ * RESHAPE PRESETS - Face reshape / liquify filters as data
+ * ============================================================================
+ *
+ * Each preset moves groups of FaceMesh landmarks; the camera frame is then
+ * warped from the real landmarks onto the moved ones (see
+ * MorphEngine.reshapeLandmarks / reshapeFace). Presets are listed in the
+ * effects panel, each with its own intensity, and any number can be stacked.
+ *
+ * GROUPS:
+ * -------
+ * Every preset is a list of groups, all in the face's own frame (x along the
+ * eye line, y from forehead to chin, so a tilted head reshapes correctly):
+ *
+ *     { indices, origin, scale: [sx, sy], offset: [dx, dy] }
+ *
+ * - indices: landmarks to move
+ * - origin:  landmarks whose centroid the group scales about
+ *            (default: the group's own centroid)
+ * - scale:   factors along x and y (1 = unchanged)
+ * - offset:  shift in face heights (forehead to chin); y > 0 is towards
+ *            the chin. x follows the image, so keep presets symmetric.
+ * - falloff: other landmarks within this many face heights of the group
+ *            follow it partially, so the mesh stretches instead of folding
+ *            (default 0.1)
+ *
+ * At intensity t the scale becomes 1 + (s - 1) * t and the offset
+ * offset * t. Displacements of stacked presets add up.
+ *
+ * Adding a preset is adding an entry below; nothing else needs to change.
+ */
+
+// Landmark groups shared by several presets
+const RESHAPE_GROUPS = {
+    jaw: [58, 172, 136, 150, 149, 176, 148, 152, 377, 400, 378, 379, 365, 397, 288],
+    jawInner: [135, 169, 170, 140, 171, 175, 396, 369, 395, 394, 364, 138, 367],
+    rightEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+    rightEyeRing: [130, 247, 30, 29, 27, 28, 56, 190, 243, 112, 26, 22, 23, 24, 110, 25],
+    leftEye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466],
+    leftEyeRing: [359, 467, 260, 259, 257, 258, 286, 414, 463, 341, 256, 252, 253, 254, 339, 255],
+    nose: [
+        1, 2, 4, 5, 19, 94, 98, 327, 48, 278, 64, 294, 97, 326, 99, 328, 102, 331, 129, 358,
+        219, 439, 218, 438, 237, 457, 44, 274, 45, 275, 220, 440, 115, 344, 131, 360, 134, 363,
+        51, 281, 3, 248, 195, 197, 236, 456, 198, 420, 209, 429, 49, 279, 240, 460, 75, 305,
+        60, 290, 20, 250, 79, 309, 166, 392, 238, 458, 241, 461, 242, 462, 141, 370, 125, 354
+    ],
+    lips: [
+        61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 185, 40, 39, 37, 0, 267, 269, 270, 409,
+        78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 191, 80, 81, 82, 13, 312, 311, 310, 415
+    ],
+    mouthCorners: [61, 291, 78, 308],
+    upperHead: [
+        10, 338, 297, 332, 284, 251, 21, 54, 103, 67, 109, 151, 9, 108, 337, 69, 299, 104, 333,
+        71, 301, 68, 298, 63, 293, 105, 334, 66, 296, 107, 336, 8
+    ]
+};
+
+const RESHAPE_PRESETS = [
+    {
+        id: 'slimJaw',
+        name: 'Slim Jaw',
+        groups: [
+            { indices: RESHAPE_GROUPS.jaw, origin: [152], scale: [0.86, 1], falloff: 0.2 },
+            { indices: RESHAPE_GROUPS.jawInner, origin: [152], scale: [0.92, 1], falloff: 0.2 }
+        ]
+    },
+    {
+        id: 'bigEyes',
+        name: 'Big Eyes',
+        groups: [
+            { indices: RESHAPE_GROUPS.rightEye, scale: [1.3, 1.3] },
+            { indices: RESHAPE_GROUPS.rightEyeRing, origin: RESHAPE_GROUPS.rightEye, scale: [1.15, 1.15] },
+            { indices: RESHAPE_GROUPS.leftEye, scale: [1.3, 1.3] },
+            { indices: RESHAPE_GROUPS.leftEyeRing, origin: RESHAPE_GROUPS.leftEye, scale: [1.15, 1.15] }
+        ]
+    },
+    {
+        id: 'smallNose',
+        name: 'Small Nose',
+        groups: [
+            { indices: RESHAPE_GROUPS.nose, origin: [1], scale: [0.8, 0.9] }
+        ]
+    },
+    {
+        id: 'wideSmile',
+        name: 'Wide Smile',
+        groups: [
+            { indices: RESHAPE_GROUPS.lips, origin: [13, 14], scale: [1.15, 1] },
+            { indices: RESHAPE_GROUPS.mouthCorners, offset: [0, -0.025] }
+        ]
+    },
+    {
+        id: 'alienHead',
+        name: 'Alien Head',
+        groups: [
+            { indices: RESHAPE_GROUPS.upperHead, origin: [168], scale: [1.2, 1.35] },
+            { indices: RESHAPE_GROUPS.rightEye, scale: [1.35, 1.5] },
+            { indices: RESHAPE_GROUPS.rightEyeRing, origin: RESHAPE_GROUPS.rightEye, scale: [1.2, 1.3] },
+            { indices: RESHAPE_GROUPS.leftEye, scale: [1.35, 1.5] },
+            { indices: RESHAPE_GROUPS.leftEyeRing, origin: RESHAPE_GROUPS.leftEye, scale: [1.2, 1.3] },
+            { indices: RESHAPE_GROUPS.nose, origin: [1], scale: [0.7, 0.8] },
+            { indices: RESHAPE_GROUPS.lips, origin: [13, 14], scale: [0.8, 0.8] },
+            { indices: RESHAPE_GROUPS.jaw, origin: [1], scale: [0.75, 0.92], falloff: 0.25 },
+            { indices: RESHAPE_GROUPS.jawInner, origin: [1], scale: [0.8, 0.94], falloff: 0.25 }
+        ]
+    }
+];
+
+// Export for use in app.js (presets are sent to the worker with each frame)
+self.RESHAPE_PRESETS = RESHAPE_PRESETS;
@@ -0,0 +1,242 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - Offline app (installable PWA)
+ * ============================================================================
+ *
+ * Keeps everything the camera morph needs in the Cache API, so the app
+ * starts and morphs with no network at all.
+ *
+ * CACHES:
+ * -------
+ * - shell:   pages, styles, every engine script, LUTs and icons;
+ *            precached when this worker installs
+ * - models:  MediaPipe and face-api libraries and weights (model-config.js);
+ *            precached from vendor/ and models/, or from the CDN for the
+ *            entries without a local copy
+ * - targets: target images and landmarks JSON (assets/), cached the first
+ *            time they are used
+ *
+ * All three are served cache first, except the data that changes without
+ * a release: catalog.json and the landmarks JSON come from the network
+ * when there is one (so a new target shows up on the next start) and
+ * from the cache only offline. Every cache name carries CACHE_VERSION:
+ * bump it on each release. The browser then installs the new worker next
+ * to the running one, the app asks the user to reload (see
+ * FaceMorphApp.registerServiceWorker), and activating it deletes the caches
+ * of older versions.
+ */
+
+importScripts('model-config.js');
+
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'facemorph-';
+const CACHES = {
+    shell: `${CACHE_PREFIX}shell-${CACHE_VERSION}`,
+    models: `${CACHE_PREFIX}models-${CACHE_VERSION}`,
+    targets: `${CACHE_PREFIX}targets-${CACHE_VERSION}`
+};
+
+// Everything index.html and the morph worker load, plus the small assets
+// the UI shows before any target is picked
+const APP_SHELL = [
+    'index.html',
+    'styles.css',
+    'manifest.json',
+    'catalog.json',
+    'icons/app-icon.png',
+    'model-config.js',
+    'model-loader.js',
+    'face-mesh-tessellation.js',
+    'mean-face.js',
+    'morph-engine.js',
+    'landmark-stabilizer.js',
+    'face-tracker.js',
+    'head-pose.js',
+    'addon-renderer.js',
+    'target-catalog.js',
+    'morph-fade.js',
+    'reshape-presets.js',
+    'color-effects.js',
+    'effect-renderer.js',
+    'app.js',
+    'morph-worker.js',
+    'assets/luts/teal-orange.cube',
+    'assets/luts/vintage.cube',
+    'assets/fun/caricature.svg',
+    'assets/fun/extreme.svg',
+    'assets/fun/average-me.svg',
+    'assets/fun/left-mirror.svg',
+    'assets/fun/right-mirror.svg'
+];
+
+const MODEL_ENTRIES = ['faceMesh', 'faceApi', 'faceApiModels'];
+
+// ============ INSTALL ============
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([precacheShell(), precacheModels()]));
+});
+
+/**
+ * App shell: installing fails if any file is missing, so a broken
+ * release never replaces a working one
+ */
+async function precacheShell() {
+    const cache = await caches.open(CACHES.shell);
+    await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+}
+
+/**
+ * Library and model files, each entry from the first source that has all
+ * of them (same order as ModelLoader: local, then CDN). An entry that no
+ * source serves is skipped, like the app does without face-api.
+ */
+async function precacheModels() {
+    const cache = await caches.open(CACHES.models);
+
+    for (const name of MODEL_ENTRIES) {
+        const entry = MODEL_CONFIG[name];
+        const bases = [entry.local];
+        if (MODEL_CONFIG.cdnFallback && entry.cdn) bases.push(entry.cdn);
+
+        let cached = false;
+        for (const base of bases) {
+            try {
+                await cache.addAll(entry.files.map(file => new Request(base + file, { cache: 'reload' })));
+                cached = true;
+                break;
+            } catch (error) {
+                console.warn(`[ServiceWorker] ${name} not cached from ${base}`);
+            }
+        }
+        if (!cached) console.warn(`[ServiceWorker] ${name} will not be available offline`);
+    }
+}
+
+// ============ ACTIVATE ============
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = Object.values(CACHES);
+        for (const name of await caches.keys()) {
+            if (name.startsWith(CACHE_PREFIX) && !current.includes(name)) {
+                await caches.delete(name);
+            }
+        }
+        // Control the page that registered us, so the first visit already
+        // caches the targets it opens
+        await self.clients.claim();
+    })());
+});
+
+// The app sends this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+// ============ FETCH ============
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // ModelLoader probes files with HEAD, which the Cache API does not store
+    if (request.method === 'HEAD') {
+        event.respondWith(respondHead(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(respondNavigate(request));
+        return;
+    }
+
+    const url = new URL(request.url);
+    const cacheName = cacheFor(url);
+    if (!cacheName) return;
+    event.respondWith(isCatalogData(url) ? networkFirst(request, cacheName) : cacheFirst(request, cacheName));
+});
+
+/**
+ * catalog.json and landmarks JSON: edited without a release
+ */
+function isCatalogData(url) {
+    const scope = self.registration.scope;
+    const href = url.href.split('?')[0];
+    return href === scope + 'catalog.json' ||
+        (href.startsWith(scope + 'assets/landmarks/') && href.endsWith('.json'));
+}
+
+/**
+ * Cache a response goes to (null: network only, anything of another
+ * origin that is not a model CDN)
+ */
+function cacheFor(url) {
+    const scope = self.registration.scope;
+    const href = url.href;
+
+    if (href.startsWith(scope)) {
+        if (href.startsWith(scope + 'assets/')) return CACHES.targets;
+        if (href.startsWith(scope + 'vendor/') || href.startsWith(scope + 'models/')) return CACHES.models;
+        return CACHES.shell;
+    }
+
+    for (const name of MODEL_ENTRIES) {
+        const cdn = MODEL_CONFIG[name].cdn;
+        if (cdn && href.startsWith(cdn)) return CACHES.models;
+    }
+    return null;
+}
+
+/**
+ * From any of our caches, else from the network (stored on success)
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * From the network (stored on success), else from any of our caches
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Pages: cached first like the scripts they load, so a page never runs
+ * with the scripts of another version ('./' is index.html)
+ */
+async function respondNavigate(request) {
+    const url = new URL(request.url);
+    if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+    const cached = await caches.match(url.href, { ignoreSearch: true });
+    return cached || cacheFirst(request, CACHES.shell);
+}
+
+/**
+ * HEAD: headers of the cached GET response if there is one
+ */
+async function respondHead(request) {
+    const cached = await caches.match(request, { ignoreMethod: true });
+    if (cached) return new Response(null, { status: cached.status, headers: cached.headers });
+    return fetch(request);
+}
@@ -0,0 +1,198 @@
+/**
+ * ============================================================================
+ * TARGET CATALOG - Categories and targets from catalog.json
+ * ============================================================================
+ *
+ * Every item of the carousel (morph targets, addons, fun modes) is an entry
+ * of catalog.json, so adding a target is adding an entry and its files.
+ *
+ * FORMAT:
+ * -------
+ *     { "version": 1, "categories": [{ id, name, icon, defaults, entries }] }
+ *
+ * - id:       category key (bottom navigation `data-category`)
+ * - name:     label in the bottom navigation (default: the id)
+ * - icon:     emoji shown above the label (optional)
+ * - defaults: fields every entry of the category gets unless it sets them
+ *             (addons: "isAddon")
+ *
+ * ENTRIES:
+ * --------
+ * - id:        unique in the whole catalog (kebab-case)
+ * - name:      display name
+ * - image:     carousel thumbnail, and the morph source or addon artwork
+ * - landmarks: landmarks JSON of a morph target ([x, y] pixel pairs, from
+ *              generate_landmarks.py or landmark-editor.html); null = not
+ *              placed yet: listed in the landmark editor, hidden in the app
+ * - gender:    'male' or 'female'; omitted = shown to everyone
+ * - tags:      free-form words (species, sport, ...)
+ * - credit / license: where the image comes from and under which terms
+ *              (omitted where unknown)
+ * - blendMode: live preview blend for morph targets, 'feather', 'seamless'
+ *              or 'frequency' (see MorphEngine.morphPrepared); only for
+ *              targets with strong lighting of their own (painted
+ *              portraits use 'frequency' so the camera's lighting stays on
+ *              the face). Snapshots use their own setting
+ * - addons:    `type`, `anchors` ([landmark, x, y], at least 4, see
+ *              AddonRenderer) and optional `key` ({ color, tolerance }: the
+ *              background color of artwork without transparency)
+ * - fun:       `caricature` (factor, see MorphEngine.caricatureFace) or
+ *              `symmetry` ('left' / 'right', see MorphEngine.symmetryFace)
+ *
+ * VALIDATION:
+ * -----------
+ * 1. load() checks fields and types; an invalid entry is left out and
+ *    reported, the rest of the catalog still loads
+ * 2. findMissingFiles() probes every image and landmarks URL; it runs after
+ *    startup so the camera does not wait for it
+ */
+
+const CATALOG_GENDERS = ['male', 'female'];
+const CATALOG_BLEND_MODES = ['feather', 'seamless', 'frequency'];
+
+class TargetCatalog {
+    /**
+     * @param {string} url - Catalog URL
+     */
+    constructor(url = 'catalog.json') {
+        this.url = url;
+    }
+
+    /**
+     * Load and validate the catalog
+     * @returns {Promise<Object>} { categories, assets, pending, problems }:
+     *          categories in order ({ id, name, icon }), their entries by
+     *          category id (each with its `category` id), entries waiting for
+     *          landmarks, and one message per problem found
+     */
+    async load() {
+        let catalog;
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            catalog = await response.json();
+        } catch (error) {
+            throw new Error(`Could not load ${this.url}: ${error.message}`);
+        }
+        if (!catalog || !Array.isArray(catalog.categories)) {
+            throw new Error(`${this.url} has no "categories" list`);
+        }
+
+        const categories = [];
+        const assets = {};
+        const pending = [];
+        const problems = [];
+        const ids = new Set();
+
+        for (const category of catalog.categories) {
+            if (!category || typeof category.id !== 'string' || !Array.isArray(category.entries)) {
+                problems.push('Category without "id" or "entries" skipped');
+                continue;
+            }
+            categories.push({
+                id: category.id,
+                name: typeof category.name === 'string' && category.name ? category.name : category.id,
+                icon: typeof category.icon === 'string' ? category.icon : ''
+            });
+            assets[category.id] = [];
+
+            for (const raw of category.entries) {
+                const entry = { ...category.defaults, ...raw, category: category.id };
+                const label = `${category.id}/${entry.id || entry.name || '?'}`;
+                const errors = this.validateEntry(entry, ids);
+                if (errors.length > 0) {
+                    problems.push(`${label}: ${errors.join(', ')}`);
+                    continue;
+                }
+                ids.add(entry.id);
+
+                if (entry.landmarks === null) pending.push(entry);
+                else assets[category.id].push(entry);
+            }
+        }
+
+        return { categories, assets, pending, problems };
+    }
+
+    /**
+     * Problems with one entry (empty if it is valid)
+     * @param {Object} entry - Entry with its category defaults applied
+     * @param {Set<string>} ids - Ids of the entries before it
+     * @returns {string[]} Problems
+     */
+    validateEntry(entry, ids) {
+        const errors = [];
+        const isString = value => typeof value === 'string' && value.length > 0;
+
+        if (!isString(entry.id)) errors.push('missing "id"');
+        else if (ids.has(entry.id)) errors.push(`duplicate id "${entry.id}"`);
+        if (!isString(entry.name)) errors.push('missing "name"');
+        if (!isString(entry.image)) errors.push('missing "image"');
+
+        const isMorphTarget = !entry.isAddon && entry.caricature === undefined && entry.symmetry === undefined;
+        if (isMorphTarget && entry.landmarks !== null && !isString(entry.landmarks)) {
+            errors.push('missing "landmarks" (null if not placed yet)');
+        }
+
+        if (entry.gender !== undefined && !CATALOG_GENDERS.includes(entry.gender)) {
+            errors.push(`"gender" must be one of ${CATALOG_GENDERS.join(', ')}`);
+        }
+        if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(isString))) {
+            errors.push('"tags" must be a list of words');
+        }
+        if (entry.blendMode !== undefined && !CATALOG_BLEND_MODES.includes(entry.blendMode)) {
+            errors.push(`"blendMode" must be one of ${CATALOG_BLEND_MODES.join(', ')}`);
+        }
+
+        if (entry.isAddon) {
+            const anchors = entry.anchors;
+            const valid = Array.isArray(anchors) && anchors.length >= 4 &&
+                anchors.every(a => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite));
+            if (!valid) errors.push('"anchors" must be at least 4 [landmark, x, y] triples');
+            if (entry.key !== undefined && !(entry.key && isString(entry.key.color))) {
+                errors.push('"key" needs a "color"');
+            }
+        }
+        if (entry.caricature !== undefined && !Number.isFinite(entry.caricature)) {
+            errors.push('"caricature" must be a number');
+        }
+        if (entry.symmetry !== undefined && !['left', 'right'].includes(entry.symmetry)) {
+            errors.push('"symmetry" must be "left" or "right"');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Image and landmarks files that the server does not have. A file that
+     * cannot be checked (offline and not cached) counts as present.
+     * @param {Object[]} entries - Catalog entries
+     * @returns {Promise<Object[]>} { entry, url } per missing file
+     */
+    async findMissingFiles(entries) {
+        const checks = [];
+        for (const entry of entries) {
+            for (const url of [entry.image, entry.landmarks]) {
+                if (typeof url === 'string' && !url.startsWith('data:')) {
+                    checks.push(this.isMissing(url).then(missing => missing ? { entry, url } : null));
+                }
+            }
+        }
+        return (await Promise.all(checks)).filter(Boolean);
+    }
+
+    /**
+     * Whether the server answers 404 (or another error status) for a URL
+     */
+    async isMissing(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            return !response.ok;
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+// Export for use in app.js and landmark-editor.js
+self.TargetCatalog = TargetCatalog;